@@ -0,0 +1,45 @@
+//=============================================================================
+// battle-simulator.test.js
+//
+// Runs the battle simulator in the headless mode. Run with
+// "node --test test/".
+//=============================================================================
+
+"use strict";
+
+const assert = require("assert");
+const test = require("node:test");
+const { bootGame } = require("../tools/headless");
+
+const party = [{ actorId: 1, level: 5 }];
+const options = { troopId: 1, count: 10, seed: 7, party: party };
+
+test("a seeded simulation gives the same report twice", async () => {
+    const game = await bootGame();
+    const { BattleSimulator, DataManager } = game;
+    DataManager.setupNewGame();
+    const report = BattleSimulator.run(options);
+    assert.strictEqual(report.runs, 10);
+    assert(report.dealt.length > 0);
+    assert.deepStrictEqual(BattleSimulator.run(options), report);
+    const other = Object.assign({}, options, { seed: 8 });
+    assert.notDeepStrictEqual(BattleSimulator.run(other), report);
+});
+
+test("a simulation leaves the game objects untouched", async () => {
+    const game = await bootGame();
+    const { BattleSimulator, DataManager, JsonEx } = game;
+    DataManager.setupNewGame();
+    game.$gameParty.gainGold(123);
+    const party = game.$gameParty;
+    const random = game.$gameRandom;
+    const contents = JsonEx.stringify(DataManager.makeSaveContents());
+    BattleSimulator.run(options);
+    assert.strictEqual(game.$gameParty, party);
+    assert.strictEqual(game.$gameRandom, random);
+    assert.strictEqual(game.$gameParty.inBattle(), false);
+    assert.strictEqual(
+        JsonEx.stringify(DataManager.makeSaveContents()),
+        contents
+    );
+});
@@ -0,0 +1,35 @@
+//=============================================================================
+// headless.test.js
+//
+// Boots the game in the headless mode and plays the opening event of the
+// starting map. Run with "node --test test/".
+//=============================================================================
+
+"use strict";
+
+const assert = require("assert");
+const test = require("node:test");
+const { rootDirectory, loadGame } = require("../tools/headless");
+
+test("the opening event of the starting map runs to the end", async () => {
+    const game = loadGame();
+    const { SceneManager, StorageManager, Input } = game;
+    StorageManager.setBackend("memory");
+    SceneManager.runHeadless(game.Scene_Boot, rootDirectory);
+    await SceneManager.stepUntil(() =>
+        SceneManager.isCurrentScene(game.Scene_Title)
+    );
+
+    game.DataManager.setupNewGame();
+    SceneManager.goto(game.Scene_Map);
+    await SceneManager.stepUntil(() => game.$gameMessage.isBusy());
+    const key = [game.$gameMap.mapId(), 4, "A"];
+    assert.strictEqual(game.$gameSelfSwitches.value(key), false);
+
+    // Holding the OK button fast-forwards the scrolling text.
+    Input.setPressed("ok", true);
+    await SceneManager.stepUntil(() => !game.$gameMessage.isBusy());
+    Input.setPressed("ok", false);
+    await SceneManager.stepUntil(() => game.$gameSelfSwitches.value(key));
+    assert.strictEqual(game.$gameMap.isEventRunning(), false);
+});
@@ -0,0 +1,131 @@
+//=============================================================================
+// headless.js
+//
+// Loads the game scripts into a Node context for the headless mode, so that
+// scenes can be driven by SceneManager.step() without a browser.
+//=============================================================================
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const rootDirectory = path.join(__dirname, "..", "www");
+const scriptUrls = [
+    "js/libs/pixi.js",
+    "js/libs/pako.min.js",
+    "js/rmmz_core.js",
+    "js/rmmz_managers.js",
+    "js/rmmz_objects.js",
+    "js/rmmz_scenes.js",
+    "js/rmmz_sprites.js",
+    "js/rmmz_windows.js"
+];
+
+// Node has no DOM, but PIXI and the windows still create canvases. The
+// headless mode never renders, so the 2D context only has to accept calls.
+function createContext2d(canvas) {
+    const context = {
+        canvas: canvas,
+        measureText: text => ({ width: String(text).length * 14 }),
+        getImageData: (x, y, w, h) => ({
+            data: new Uint8ClampedArray(Math.max(w * h * 4, 0))
+        }),
+        createLinearGradient: () => ({ addColorStop: () => {} }),
+        createPattern: () => ({})
+    };
+    return new Proxy(context, {
+        get: (target, name) => (name in target ? target[name] : () => {}),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+class HTMLElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.style = {};
+        this.width = 0;
+        this.height = 0;
+    }
+
+    addEventListener() {}
+
+    appendChild(child) {
+        return child;
+    }
+
+    removeChild(child) {
+        return child;
+    }
+}
+
+class HTMLCanvasElement extends HTMLElement {
+    getContext(type) {
+        return type === "2d" ? createContext2d(this) : null;
+    }
+}
+
+class HTMLImageElement extends HTMLElement {}
+class HTMLVideoElement extends HTMLElement {}
+
+function createElement(tagName) {
+    if (tagName === "canvas") {
+        return new HTMLCanvasElement(tagName);
+    } else {
+        return new HTMLElement(tagName);
+    }
+}
+
+function createWindow() {
+    const window = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        require: require,
+        location: { href: "http://localhost/", search: "" },
+        navigator: { userAgent: "Node", maxTouchPoints: 0 },
+        document: {
+            body: createElement("body"),
+            createElement: createElement,
+            getElementById: () => null,
+            addEventListener: () => {}
+        },
+        addEventListener: () => {},
+        HTMLCanvasElement: HTMLCanvasElement,
+        HTMLImageElement: HTMLImageElement,
+        HTMLVideoElement: HTMLVideoElement,
+        OffscreenCanvas: undefined,
+        $plugins: []
+    };
+    window.window = window;
+    window.self = window;
+    return vm.createContext(window);
+}
+
+function loadGame() {
+    const context = createWindow();
+    for (const url of scriptUrls) {
+        const filename = path.join(rootDirectory, url);
+        const code = fs.readFileSync(filename, "utf8");
+        vm.runInContext(code, context, { filename: filename });
+    }
+    return context;
+}
+
+// Boots the game up to the title screen, keeping the saves in memory.
+async function bootGame() {
+    const game = loadGame();
+    const { SceneManager, StorageManager } = game;
+    StorageManager.setBackend("memory");
+    SceneManager.runHeadless(game.Scene_Boot, rootDirectory);
+    await SceneManager.stepUntil(() =>
+        SceneManager.isCurrentScene(game.Scene_Title)
+    );
+    return game;
+}
+
+module.exports = { rootDirectory, loadGame, bootGame };
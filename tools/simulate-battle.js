@@ -0,0 +1,102 @@
+//=============================================================================
+// simulate-battle.js
+//
+// Runs BattleSimulator in the headless mode and writes the report.
+//
+// Usage:
+//   node tools/simulate-battle.js --troop 1 [--party 1:10,2:10] [--count 100]
+//       [--seed 1] [--items 7:5] [--max-turns 100] [--out report.csv]
+//
+// A party member is an actor ID with an optional level after a colon. The
+// party defaults to the starting members of a new game. The report is JSON,
+// or CSV when the output file ends with ".csv", and goes to the standard
+// output when no file is given.
+//=============================================================================
+
+"use strict";
+
+const { parseArgs } = require("util");
+const { bootGame } = require("./headless");
+
+const usage =
+    "Usage: node tools/simulate-battle.js --troop <id>" +
+    " [--party <id[:level]>,...] [--count <n>] [--seed <n>]" +
+    " [--items <id:count>,...]" +
+    " [--max-turns <n>] [--out <file>]";
+
+function parseInteger(name, text) {
+    const value = Number(text);
+    if (!Number.isInteger(value)) {
+        throw new Error("--" + name + " must be an integer: " + text);
+    }
+    return value;
+}
+
+function parsePairs(name, text) {
+    return text.split(",").map(entry => {
+        const [id, value] = entry.split(":");
+        return [
+            parseInteger(name, id),
+            value === undefined ? undefined : parseInteger(name, value)
+        ];
+    });
+}
+
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            troop: { type: "string" },
+            party: { type: "string" },
+            count: { type: "string" },
+            seed: { type: "string" },
+            items: { type: "string" },
+            "max-turns": { type: "string" },
+            out: { type: "string" }
+        }
+    });
+    if (!values.troop) {
+        throw new Error(usage);
+    }
+    const options = { troopId: parseInteger("troop", values.troop) };
+    if (values.party) {
+        options.party = parsePairs(
+            "party",
+            values.party
+        ).map(([actorId, level]) => ({ actorId, level }));
+    }
+    if (values.count) {
+        options.count = parseInteger("count", values.count);
+    }
+    if (values.seed) {
+        options.seed = parseInteger("seed", values.seed);
+    }
+    if (values.items) {
+        options.items = {};
+        for (const [itemId, count] of parsePairs("items", values.items)) {
+            options.items[itemId] = count === undefined ? 1 : count;
+        }
+    }
+    if (values["max-turns"]) {
+        options.maxTurns = parseInteger("max-turns", values["max-turns"]);
+    }
+    return { options: options, out: values.out };
+}
+
+async function main(argv) {
+    const { options, out } = parseOptions(argv);
+    const game = await bootGame();
+    const { BattleSimulator, DataManager } = game;
+    DataManager.setupNewGame();
+    const report = BattleSimulator.run(options);
+    if (out) {
+        BattleSimulator.writeReport(report, out);
+    } else {
+        process.stdout.write(BattleSimulator.toJson(report) + "\n");
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -211,6 +211,20 @@ https://github.com/Dread-chan/MV3D/blob/master/plugin.zip
 @type Boolean
 @default true
 
+@param shadowsOptionName
+@text Shadows Option Name
+@desc symbol name: mv3d-shadows
+@parent options
+@type Text
+@default Shadows
+
+@param shadowsOption
+@text Shadows Option
+@desc Should shadow quality appear in options menu? Only used with dynamic shadows.
+@parent shadowsOptionName
+@type Boolean
+@default true
+
 @param spacer|graphics @text‏‏‎ ‎@desc ===============================================
 
 @param graphics
@@ -272,6 +286,49 @@ https://github.com/Dread-chan/MV3D/blob/master/plugin.zip
 @min 0 @max 1
 @default 1
 
+@param dynamicShadows
+@text Dynamic Shadows
+@desc Adds a sun light and shadow maps. Lamps and flashlights cast shadows when flagged with lightShadows().
+@parent graphics
+@type Boolean
+@default false
+
+@param shadowQuality
+@text Shadow Quality
+@desc Default shadow quality. Maps can change it with shadows().
+@parent dynamicShadows
+@type Select
+@option OFF
+@option LOW
+@option MEDIUM
+@option HIGH
+@default MEDIUM
+
+@param shadowDist
+@text Shadow Distance
+@desc How far from the camera the sun casts shadows.
+@parent dynamicShadows
+@type Number
+@min 1
+@default 20
+
+@param waterQuality
+@text Water Quality
+@desc How tiles configured with water() are drawn. LOW animates waves, tint and foam. HIGH adds reflections and refraction.
+@parent graphics
+@type Select
+@option OFF
+@option LOW
+@option HIGH
+@default LOW
+
+@param weather3d
+@text 3D Weather
+@desc Draws rain, storm and snow as particles falling in the map. They stop at roofs and ceilings.
+@parent graphics
+@type Boolean
+@default true
+
 @param spacer|map @text‏‏‎ ‎@desc ===============================================
 
 @param map
@@ -291,6 +348,63 @@ https://github.com/Dread-chan/MV3D/blob/master/plugin.zip
 @type Boolean
 @default false
 
+@param lodDist
+@text LOD Distance
+@desc Cells farther than this are replaced by simplified meshes with baked textures. 0 disables it. Maps can change it with lod().
+@parent map
+@type Number
+@min 0
+@default 0
+
+@param lodTextureSize
+@text LOD Texture Size
+@desc Resolution of each simplified cell's slot in the shared texture far cells are baked into.
+@parent lodDist
+@type Select
+@option 128
+@option 256
+@option 512
+@default 256
+
+@param cellBuildBudget
+@text Cell Build Budget
+@desc Milliseconds per frame spent building map cells once the map is shown.
+@parent map
+@type Number
+@decimals 1
+@min 0.5
+@default 4
+
+@param deferOffscreenCells
+@text Defer Offscreen Cells
+@desc Build cells in view of the camera before cells outside of it.
+@parent map
+@type Boolean
+@default true
+
+@param instancing
+@text GPU Instancing
+@desc Draw repeated event models as instances of one mesh. Ignored where the device doesn't support instancing.
+@parent map
+@type Boolean
+@default true
+
+@param dayLength
+@text Day Length
+@desc Minutes of play for one in-game day. Maps with time() keys light themselves by the time of day. 0 stops the clock.
+@parent map
+@type Number
+@decimals 1
+@min 0
+@default 24
+
+@param timeVariable
+@text Time Variable
+@desc Game variable that receives the current hour of the day, for event conditions.
+@parent dayLength
+@type variable
+@default 0
+
 @param eventsUpdateNear
 @text Update All Events in Render Distance
 @parent map
@@ -376,6 +490,16 @@ https://github.com/Dread-chan/MV3D/blob/master/plugin.zip
 @option disabled
 @default QE
 
+@param freeMovement
+@text Free Movement
+@desc Move the player continuously instead of tile by tile.
+@parent input
+@type Select
+@option Off
+@option First Person
+@option Always
+@default Off
+
 @param turnIncrement
 @text Turn Increment
 @parent input
@@ -421,6 +545,29 @@ https://github.com/Dread-chan/MV3D/blob/master/plugin.zip
 @type Boolean
 @default true
 
+@param hoverHighlight
+@text Hover Highlight
+@desc Brightness added to events that can be clicked while the mouse is over them, or that the reticle is on. 0 disables.
+@parent input
+@type Number
+@decimals 2
+@default 0.25
+
+@param reticle
+@text First Person Reticle
+@desc Show a reticle in first person. Events under it can be used with the OK button.
+@parent input
+@type Boolean
+@default true
+
+@param reticleRange
+@text Reticle Range
+@desc How far away, in tiles, the reticle can reach events.
+@parent reticle
+@type Number
+@decimals 1
+@default 2.5
+
 @param gravity
 @text Gravity
 @desc The speed characters will fall, in tiles per second.
@@ -854,6 +1001,9 @@ const mv3d = {
 		for (const key in this.cells){
 			this.cells[key].update();
 		}
+		for (const atlas of this.lodAtlases){
+			atlas.update();
+		}
 
 		this.callFeatures('update');
 
@@ -1551,6 +1701,15 @@ if(_mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].OPTION_LOOKSENSITIVI
 	default:100,
 };
 
+_mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].shadowQualityLimit=3;
+if(_mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].DYNAMIC_SHADOWS && _mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].OPTION_SHADOWS) _mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].options['mv3d-shadows']={
+	name: _mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].OPTION_NAME_SHADOWS,
+	values:['Off','Low','Medium','High'],
+	wrap:true,
+	apply(v){ _mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].shadowQualityLimit=v; },
+	default:3,
+};
+
 if(_mv3d_js__WEBPACK_IMPORTED_MODULE_0__[/* default */ "a"].ENABLE_3D_OPTIONS){
 	__webpack_require__(8);
 }
@@ -3040,6 +3199,15 @@ Object(util["assign"])(mv3d["a" /* default */],{
 
 	UNLOAD_CELLS: Object(util["booleanString"])(parameters.unloadCells),
 	CELL_SIZE: Number(parameters.cellSize),
+	LOD_DIST: parameter('lodDist',0,Number),
+	LOD_TEXTURE_SIZE: parameter('lodTextureSize',256,Number),
+	LOD_CAMERA_HEIGHT: 100,
+	CELL_BUILD_BUDGET: parameter('cellBuildBudget',4,Number),
+	DEFER_OFFSCREEN_CELLS: parameter('deferOffscreenCells',true,util["booleanString"]),
+	INSTANCING: parameter('instancing',true,util["booleanString"]),
+	DAY_LENGTH: parameter('dayLength',24,Number),
+	DAY_START: 12,
+	TIME_VARIABLE: parameter('timeVariable',0,Number),
 	RENDER_DIST: Number(parameters.renderDist),
 	MIPMAP:Object(util["booleanString"])(parameters.mipmap),
 
@@ -3061,10 +3229,15 @@ Object(util["assign"])(mv3d["a" /* default */],{
 	OPTION_NAME_INVERTY: parameter('invertYOptionName',"Invert Y Axis", String),
 	OPTION_LOOKSENSITIVITY: parameter('lookSensitivityOption',true,util["booleanString"]),
 	OPTION_NAME_LOOKSENSITIVITY: parameter('lookSensitivityOptionName',"Look Sensitivity", String),
+	OPTION_SHADOWS: parameter('shadowsOption',true,util["booleanString"]),
+	OPTION_NAME_SHADOWS: parameter('shadowsOptionName',"Shadows", String),
 
 	STAIR_THRESH: Number(parameters.stairThresh),
 	WALK_OFF_EDGE:Object(util["booleanString"])(parameters.walkOffEdge),
 	WALK_ON_EVENTS:Object(util["booleanString"])(parameters.walkOnEvents),
+	HOVER_HIGHLIGHT: parameter('hoverHighlight',0.25,Number),
+	RETICLE: parameter('reticle',true,util["booleanString"]),
+	RETICLE_RANGE: parameter('reticleRange',2.5,Number),
 	GRAVITY:Number(parameters.gravity),
 
 	FOG_COLOR: 0,
@@ -3074,6 +3247,22 @@ Object(util["assign"])(mv3d["a" /* default */],{
 	get AMBIENT_COLOR(){ return mv3d["a" /* default */].featureEnabled('dynamicShadows')?0x888888:0xffffff; },
 
 	LIGHT_LIMIT: parameter('lightLimit',8,n=>{n=Number(n);return isFinite(n)?n:8;}),
+	DYNAMIC_SHADOWS: parameter('dynamicShadows',false,util["booleanString"]),
+	SHADOW_QUALITY: parameter('shadowQuality',2,v=>{return {'OFF':0,'LOW':1,'MEDIUM':2,'HIGH':3}[String(v).toUpperCase()]||0;}),
+	SHADOW_DIST: parameter('shadowDist',20,Number),
+	SUN_COLOR: 0xffffff,
+	SUN_INTENSITY: 1,
+	SUN_YAW: 45,
+	SUN_PITCH: 60,
+	WATER_QUALITY: parameter('waterQuality',1,v=>{return {'OFF':0,'LOW':1,'HIGH':2}[String(v).toUpperCase()]||0;}),
+	WATER_COLOR: 0x2a6a9a,
+	WATER_OPACITY: 0.35,
+	WATER_WAVES: 0.04,
+	WATER_SINK: 0.4,
+	WEATHER_3D: parameter('weather3d',true,util["booleanString"]),
+	WEATHER_CAPACITY: 1000,
+	WEATHER_RADIUS: 12,
+	WEATHER_HEIGHT: 10,
 	LIGHT_HEIGHT: 0.5,
 	LAMP_HEIGHT: 0.5,
 	FLASHLIGHT_HEIGHT: 0.25,
@@ -3132,6 +3321,8 @@ Object(util["assign"])(mv3d["a" /* default */],{
 	KEYBOARD_PITCH: Object(util["booleanString"])(parameters.keyboardPitch),
 	KEYBOARD_TURN: Object(util["falseString"])(parameters.keyboardTurn),
 	KEYBOARD_STRAFE: Object(util["falseString"])(parameters.keyboardStrafe),
+	FREE_MOVE: parameter('freeMovement',0,v=>{return {'O':0,'F':1,'A':2}[String(v).toUpperCase()[0]]||0;}),
+	FREE_MOVE_RADIUS: 0.3,
 
 	YAW_SPEED: Number(parameters.yawSpeed)||90,
 	PITCH_SPEED: Number(parameters.pitchSpeed)||90,
@@ -3655,28 +3846,13 @@ mv3d["a" /* default */]._touchState={
 	isTouching:false,
 };
 
-Object(util["override"])(Input, '_pollGamepads',o=>function(gamepad){
-	mv3d["a" /* default */]._gamepadStick.x=0;
-	mv3d["a" /* default */]._gamepadStick.y=0;
-	o.apply(this,arguments);
-},true);
-
-Object(util["override"])(Input, '_updateGamepadState',o=>function(gamepad){
-	o.apply(this,arguments);
-	const threshold = 0.1;
-	const max = 1 - threshold;
-	const axes = gamepad.axes;
-	if (Math.abs(axes[2]) > threshold) {
-		mv3d["a" /* default */]._gamepadStick.x -= ( axes[2] - Math.sign(axes[2])*threshold ) / max;
-    }
-    if (Math.abs(axes[3]) > threshold) {
-        mv3d["a" /* default */]._gamepadStick.y -= ( axes[3] - Math.sign(axes[2])*threshold ) / max;
-    }
-});
-
 Object.assign(mv3d["a" /* default */],{
 	updateInput(){
+		// the right stick, with Input's deadzone applied.
+		mv3d["a" /* default */]._gamepadStick.x=-Input.axis('rightX');
+		mv3d["a" /* default */]._gamepadStick.y=-Input.axis('rightY');
 		mv3d["a" /* default */].updateInputCamera();
+		mv3d["a" /* default */].updateMapHover();
 	},
 
 	updateInputCamera(){
@@ -3699,9 +3875,9 @@ Object.assign(mv3d["a" /* default */],{
 				if(Input.isPressed(leftKey)&&Input.isPressed(rightKey)){
 					// do nothing
 				}else if(Input.isPressed(leftKey)){
-					this.blendCameraYaw.setValue(this.blendCameraYaw.targetValue()+increment,0.1);
+					this.blendCameraYaw.setValue(this.blendCameraYaw.targetValue()+increment*Input.pressure(leftKey),0.1);
 				}else if(Input.isPressed(rightKey)){
-					this.blendCameraYaw.setValue(this.blendCameraYaw.targetValue()-increment,0.1);
+					this.blendCameraYaw.setValue(this.blendCameraYaw.targetValue()-increment*Input.pressure(rightKey),0.1);
 				}
 			}
 		}
@@ -3710,9 +3886,9 @@ Object.assign(mv3d["a" /* default */],{
 			if(Input.isPressed('pageup')&&Input.isPressed('pagedown')){
 				// do nothing
 			}else if(Input.isPressed('pageup')){
-				this.blendCameraPitch.setValue(Math.min(179,this.blendCameraPitch.targetValue()+increment),0.1);
+				this.blendCameraPitch.setValue(Math.min(179,this.blendCameraPitch.targetValue()+increment*Input.pressure('pageup')),0.1);
 			}else if(Input.isPressed('pagedown')){
-				this.blendCameraPitch.setValue(Math.max(1,this.blendCameraPitch.targetValue()-increment),0.1);
+				this.blendCameraPitch.setValue(Math.max(1,this.blendCameraPitch.targetValue()-increment*Input.pressure('pagedown')),0.1);
 			}
 		}
 
@@ -3797,7 +3973,27 @@ Object(util["override"])(Input,'_signX',o=>function _signX(){
 	return x;
 });
 
+// what the rotleft and rotright keys do in 3rd and 1st person, following getTurnKey and getStrafeKey.
+mv3d["a" /* default */].getRotKeyActions=function(){
+	const actions=[];
+	for(const action of [
+		{QE:'Turn',AD:'Strafe'}[mv3d["a" /* default */].KEYBOARD_TURN],
+		{QE:'Strafe',AD:'Turn'}[mv3d["a" /* default */].KEYBOARD_STRAFE],
+	]){
+		if(action&&!actions.includes(action)){ actions.push(action); }
+	}
+	return actions;
+};
+
 mv3d["a" /* default */].setupInput=function(){
+	// turning and strafing share the rot keys, so one entry per key names every use the parameters give it.
+	const rotName=mv3d["a" /* default */].getRotKeyActions().join('/');
+	if(rotName){
+		ConfigManager.controlActions.push(
+			{ name:`${rotName} Left`, keyboard:'rotleft', gamepad:'rotleft' },
+			{ name:`${rotName} Right`, keyboard:'rotright', gamepad:'rotright' },
+		);
+	}
 	if(!mv3d["a" /* default */].WASD){ return; }
 	Object.assign(Input.keyMapper,{
 		81:'rotleft',  // Q
@@ -3837,6 +4033,7 @@ function getInputDescriptor(menumode,p3mode,p1mode){
 		configurable:true,
 		get(){
 			if(assignedValue!=undefined){ return assignedValue; }
+			if(SceneManager._scene && SceneManager._scene.usesMapKeyBindings()){ return p3mode; }
 			if(!(SceneManager._scene instanceof Scene_Map)){ return menumode; }
 			if(mv3d["a" /* default */].isDisabled()){ return p3mode; }
 			if(mv3d["a" /* default */].is1stPerson()){ return p1mode; }
@@ -3893,17 +4090,71 @@ Scene_Map.prototype.processMapTouch = function() {
 	}
 };
 
-mv3d["a" /* default */].processMapTouch=Object(util["throttle"])(function(){
-	const intersection = mv3d["a" /* default */].scene.pick(TouchInput.x*mv3d["a" /* default */].RES_SCALE,TouchInput.y*mv3d["a" /* default */].RES_SCALE,input_raycastPredicate);
-	if(intersection.hit){
-		const point = {x:intersection.pickedPoint.x, y:-intersection.pickedPoint.z};
-		const mesh = intersection.pickedMesh;
-		if(mesh.character){
-			point.x=mesh.character.x;
-			point.y=mesh.character.y;
-		}
-		mv3d["a" /* default */].setDestination(point.x,point.y);
+// a click or tap is handled on the frame it happens; only the repeated pick while the button is held is throttled.
+mv3d["a" /* default */].processMapTouch=function(){
+	if(!TouchInput.isTriggered() && !this._touchState.isTapped){
+		this.updateMapTouchHold();
+		return;
+	}
+	const pick = this.pickMap(TouchInput.x,TouchInput.y);
+	if(!pick){ return; }
+	if(this.isClickableEvent(pick.event) && pick.event.mv3d_sprite.getConfig('click',false)){
+		pick.event.start();
+		return;
+	}
+	this.setDestination(pick.x,pick.y);
+};
+
+mv3d["a" /* default */].updateMapTouchHold=Object(util["throttle"])(function(){
+	const pick = mv3d["a" /* default */].pickMap(TouchInput.x,TouchInput.y);
+	if(pick){ mv3d["a" /* default */].setDestination(pick.x,pick.y); }
+},100);
+
+// resolves a screen position to the tile, and the event if any, under it in the 3d scene.
+mv3d["a" /* default */].pickMap=function(x,y){
+	const intersection = this.scene.pick(x*this.RES_SCALE,y*this.RES_SCALE,input_raycastPredicate);
+	if(!intersection.hit){ return null; }
+	const mesh = intersection.pickedMesh;
+	let character = mesh.character;
+	if(!character && mesh.parent && mesh.parent.character){ character=mesh.parent.character; }
+	if(character && character.char){
+		const char = character.char;
+		return { x:char.x, y:char.y, event:char instanceof Game_Event ? char : null };
+	}
+	const point = intersection.pickedPoint.clone();
+	// walls are picked on the tile edge, so step off the face toward the tile in front of it.
+	const normal = intersection.getNormal(true);
+	if(normal){ point.addInPlace(normal.scale(0.01)); }
+	return { x:Math.round(point.x), y:Math.round(-point.z), event:null };
+};
+
+mv3d["a" /* default */].isClickableEvent=function(event){
+	if(!event || !event.mv3d_sprite || !event.page() || event.isErased()){ return false; }
+	if(event.mv3d_sprite.getConfig('click',false)){ return true; }
+	return event.isTriggerIn([0]) && event.list().length>1;
+};
+
+mv3d["a" /* default */].hoveredEvent=null;
+mv3d["a" /* default */].setHoveredEvent=function(event){
+	if(this.hoveredEvent===event){ return; }
+	for (const old of [this.hoveredEvent,event]){
+		if(old&&old.mv3d_sprite){ old.mv3d_sprite.needsMaterialUpdate=true; }
+	}
+	this.hoveredEvent=event;
+	Graphics._canvas.style.cursor = event ? 'pointer' : '';
+};
+mv3d["a" /* default */].getHoverHighlight=function(char){
+	return char===this.hoveredEvent ? this.HOVER_HIGHLIGHT : 0;
+};
+
+mv3d["a" /* default */].updateMapHover=Object(util["throttle"])(function(){
+	let event=null;
+	if(mv3d["a" /* default */].HOVER_HIGHLIGHT>0 && !document.pointerLockElement
+	&& $gamePlayer.canMove() && SceneManager._scene instanceof Scene_Map){
+		const pick = mv3d["a" /* default */].pickMap(TouchInput.x,TouchInput.y);
+		if(pick && mv3d["a" /* default */].isClickableEvent(pick.event)){ event=pick.event; }
 	}
+	mv3d["a" /* default */].setHoveredEvent(event);
 },100);
 
 Object(util["override"])(TouchInput,'_onMouseMove',o=>function(e){
@@ -3936,6 +4187,7 @@ Object(util["override"])(Scene_Map.prototype,'isMapTouchOk',o=>function(){
 Object(util["override"])(Scene_Map.prototype,'stop',o=>function(){
 	o.apply(this,arguments);
 	document.exitPointerLock();
+	mv3d["a" /* default */].setHoveredEvent(null);
 },true);
 
 mv3d["a" /* default */].setDestination=function(x,y){
@@ -4325,9 +4577,12 @@ class configuration_TextureCoordinate{
 
 Object.assign(mv3d["a" /* default */],{
 	tilesetConfigurations:{},
+	tilesetConfigurationSources:{},
+	tilesetConfigurationEdits:{},
 	loadTilesetSettings(){
 		//tileset
 		this.tilesetConfigurations={};
+		this.tilesetConfigurationSources={};
 		const lines = this.readConfigurationBlocks($gameMap.tileset().note)
 		+'\n'+this.readConfigurationBlocks(this.getDataMap().note,'mv3d-tiles');
 		//const readLines = /^\s*([abcde]\d?\s*,\s*\d+\s*,\s*\d+)\s*:(.*)$/gmi;
@@ -4344,11 +4599,28 @@ Object.assign(mv3d["a" /* default */],{
 				const appliedConf=mv3d["a" /* default */].applyTextureConfigs(Object.assign({},conf),match[1],kx,ky);
 				if(!(tileId in this.tilesetConfigurations)){
 					this.tilesetConfigurations[tileId]={};
+					this.tilesetConfigurationSources[tileId]=[];
 				}
 				Object.assign(this.tilesetConfigurations[tileId],appliedConf);
+				this.tilesetConfigurationSources[tileId].push(match[4].trim());
 			}
 
 		}
+		// edits made in the tile config editor replace the note tags of their tile.
+		const edits = this.tilesetConfigurationEdits[$gameMap.tilesetId()];
+		for(const tileId in edits){
+			this.setTileConfigSource(Number(tileId),edits[tileId]);
+		}
+	},
+	setTileConfigSource(tileId,source){
+		const [img,kx,ky] = this.deconstructTileId(tileId);
+		const conf = this.readConfigurationFunctions(source,this.tilesetConfigurationFunctions);
+		this.tilesetConfigurations[tileId]=this.applyTextureConfigs(conf,img,kx,ky);
+		this.tilesetConfigurationSources[tileId]=[source];
+	},
+	getTileConfigSource(tileId){
+		const sources = this.tilesetConfigurationSources[this.normalizeAutotileId(tileId)];
+		return sources?sources.filter(Boolean).join(','):'';
 	},
 	mapConfigurations:{},
 	loadMapSettings(){
@@ -4595,6 +4867,14 @@ Object.assign(mv3d["a" /* default */],{
 				conf.ambient = new babylon["Color3"](Number(c),Number(c),Number(c));
 			}
 		},
+		tint(conf,c,variance=0){
+			if(isNaN(c)){
+				conf.tint = Object(util["makeColor"])(c);
+			}else{
+				conf.tint = new babylon["Color3"](Number(c),Number(c),Number(c));
+			}
+			conf.tintVariance=Number(variance);
+		},
 		pass(conf,s=''){
 			s=Object(util["falseString"])(s.toLowerCase());
 			if(!s || s[0]==='x'){
@@ -4609,6 +4889,16 @@ Object.assign(mv3d["a" /* default */],{
 			conf.shadow=Object(util["booleanString"])(b);
 		},
 		rot(conf,n){ conf.rot=Number(n); },
+		water:new ConfigurationFunction('sink,waves|color,opacity',function(conf,params){
+			const {sink,waves,color,opacity} = params;
+			const sinkValue = sink==null?true:Object(util["booleanNumber"])(sink);
+			if(sinkValue===false){ conf.water=false; return; }
+			conf.water=Object.assign({},conf.water);
+			if(sinkValue!==true){ conf.water.sink=sinkValue; }
+			if(waves){ conf.water.waves=Number(waves); }
+			if(color){ conf.water.color=Object(util["makeColor"])(color).toNumber(); }
+			if(opacity){ conf.water.opacity=Number(opacity); }
+		}),
 	},
 	eventConfigurationFunctions:{
 		height(conf,n){
@@ -4663,6 +4953,7 @@ Object.assign(mv3d["a" /* default */],{
 			if(params.yaw){ conf.flashlightYaw=params.yaw; }
 			if(params.pitch){ conf.flashlightPitch=Number(params.pitch); }
 		}),
+		lightshadows(conf,b=true){ conf.lightShadows=Object(util["booleanString"])(b); },
 		flashlightpitch(conf,deg='90'){ conf.flashlightPitch=Number(deg); },
 		flashlightyaw(conf,deg='+0'){ conf.flashlightYaw=deg; },
 		lightoffset:new ConfigurationFunction('x,y,z',function(conf,params){
@@ -4714,6 +5005,12 @@ Object.assign(mv3d["a" /* default */],{
 		platform(conf,b){
 			conf.platform=Object(util["booleanString"])(b);
 		},
+		click(conf,b=true){
+			conf.click=Object(util["booleanString"])(b);
+		},
+		lookat(conf,b=true){
+			conf.lookat=Object(util["booleanString"])(b);
+		},
 		collide(conf,n){ conf.collide=Object(util["booleanNumber"])(n); },
 		trigger(conf,up,down=0){
 			conf.trigger={
@@ -4758,6 +5055,57 @@ Object.assign(mv3d["a" /* default */],{
 			else{ color=Object(util["makeColor"])(color).toNumber(); }
 			conf.light={color:color};
 		},
+		sun:new ConfigurationFunction('color,intensity|yaw,pitch',function(conf,params){
+			const {color,intensity,yaw,pitch} = params;
+			if(!conf.sun){ conf.sun={}; }
+			if(color){ conf.sun.color=color.toLowerCase()==='default'?mv3d["a" /* default */].SUN_COLOR:Object(util["makeColor"])(color).toNumber(); }
+			if(intensity){ conf.sun.intensity=Number(intensity); }
+			if(yaw){ conf.sun.yaw=Number(yaw); }
+			if(pitch){ conf.sun.pitch=Number(pitch); }
+		}),
+		shadows(conf,quality){
+			const qualities={off:0,low:1,medium:2,high:3};
+			quality=String(quality).toLowerCase();
+			if(quality in qualities){ conf.shadowQuality=qualities[quality]; return; }
+			const value = Object(util["booleanNumber"])(quality);
+			conf.shadowQuality = value===true ? mv3d["a" /* default */].SHADOW_QUALITY : Math.max(0,Math.min(3,Number(value)));
+		},
+		lod(conf,n){ conf.lod=Number(n)||0; },
+		time:new ConfigurationFunction('hour|sun,intensity|yaw,pitch|light|fog,near,far',function(conf,params){
+			if(Object(util["falseString"])(params.hour)===false){ conf.dayKeys=[]; return; }
+			const hour = Number(params.hour);
+			if(!isFinite(hour)){ return; }
+			const key = {hour:hour.mod(24)};
+			for (const name of ['sun','light','fog']){
+				if(params[name]){ key[name]=Object(util["makeColor"])(params[name]).toNumber(); }
+			}
+			for (const name of ['intensity','yaw','pitch','near','far']){
+				if(params[name]){ key[name]=Number(params[name]); }
+			}
+			conf.dayKeys=(conf.dayKeys||[]).filter(k=>k.hour!==key.hour);
+			conf.dayKeys.push(key);
+		}),
+		path:new ConfigurationFunction('name,time|x,y,z|tx,ty,tz|roll,fov|ease',function(conf,params){
+			if(!params.name){ return; }
+			const name = params.name.toLowerCase();
+			if(!conf.cameraPaths){ conf.cameraPaths={}; }
+			if(Object(util["falseString"])(params.time)===false){ delete conf.cameraPaths[name]; return; }
+			const time = Number(params.time);
+			if(!isFinite(time)){ return; }
+			const key = {time};
+			const point=(x,y,z,height)=>{
+				if(x.startsWith('@')){ return {char:x,z:Number(z)||0}; }
+				return z ? {x:Number(x),y:Number(y),z:Number(z)} : {x:Number(x),y:Number(y),height};
+			};
+			if(params.x){ key.position=point(params.x,params.y,params.z,1); }
+			if(params.tx){ key.target=point(params.tx,params.ty,params.tz,0); }
+			if(params.roll){ key.roll=Number(params.roll); }
+			if(params.fov){ key.fov=Number(params.fov); }
+			if(params.ease){ key.ease=params.ease.toLowerCase(); }
+			const keys = (conf.cameraPaths[name]||[]).filter(k=>k.time!==time);
+			keys.push(key);
+			conf.cameraPaths[name]=keys;
+		}),
 		fog:new ConfigurationFunction('color|near,far',function(conf,params){
 			const {color,near,far} = params;
 			if(!conf.fog){ conf.fog={}; }
@@ -5068,6 +5416,35 @@ mv3d["a" /* default */].PluginCommand=class{
 		this._lightColor(a[0],time);
 		//this._lightintensity(a[0],time);
 	}
+	freemove(mode){
+		const modes={off:0,false:0,'1stperson':1,firstperson:1,on:2,true:2,always:2};
+		mode=String(mode).toLowerCase();
+		if(mode in modes){ mv3d["a" /* default */].saveData('freeMove',modes[mode]); }
+	}
+	time(...a){
+		switch(a[0].toLowerCase()){
+			case 'length': mv3d["a" /* default */].saveData('dayLength',Number(a[1])); return;
+		}
+		mv3d["a" /* default */].setTimeOfDay(Object(util["relativeNumber"])(mv3d["a" /* default */].getTimeOfDay(),a[0]));
+	}
+	path(name,...a){
+		switch(name.toLowerCase()){
+			case 'stop': mv3d["a" /* default */].stopCameraPath(this._TIME(a[0])); return;
+			case 'skip': mv3d["a" /* default */].stopCameraPath(0); return;
+		}
+		const opts={};
+		let wait=false;
+		for(let i=0;i<a.length;++i){
+			switch(a[i].toLowerCase()){
+				case 'wait': wait=true; break;
+				case 'skip': opts.skip=true; break;
+				case 'speed': opts.speed=Number(a[++i])||1; break;
+				case 'return': opts.returnTime=this._TIME(a[++i]); break;
+			}
+		}
+		if(!mv3d["a" /* default */].playCameraPath(name,opts)){ return; }
+		if(wait&&this.INTERPRETER.setWaitMode){ this.INTERPRETER.setWaitMode('mv3dCameraPath'); }
+	}
 	_lightColor(color,time=1){ mv3d["a" /* default */].blendAmbientColor.setValue(Object(util["makeColor"])(color).toNumber(),time); }
 	//_lightIntensity(n,time=1){ this._RELATIVE_BLEND(mv3d.blendLightIntensity,n,time); }
 	async lamp(...a){
@@ -5236,7 +5613,9 @@ class MapCellBuilder_CellMeshBuilder{
 	build(){
 		const submeshBuildersArray=Object.values(this.submeshBuilders);
 		if(!submeshBuildersArray.length){ return null; }
-		const submeshes = submeshBuildersArray.map(builder=>builder.build());
+		// the merged submeshes must share their attributes, so one tinted face gives the whole cell colors.
+		const colored = submeshBuildersArray.some(builder=>builder.colored);
+		const submeshes = submeshBuildersArray.map(builder=>builder.build(colored));
 		const totalVertices = submeshes.reduce((total,mesh)=>{
 			if(typeof total!=='number'){ total=total.getTotalVertices(); }
 			return total+mesh.getTotalVertices();
@@ -5295,8 +5674,10 @@ class MapCellBuilder_SubMeshBuilder{
 		this.indices=[];
 		this.normals=[];
 		this.uvs=[];
+		this.colors=[];
+		this.colored=false;
 	}
-	build(){
+	build(colored=this.colored){
 		const mesh = new babylon["Mesh"]('cell mesh', mv3d["a" /* default */].scene);
 		//VertexData.ComputeNormals(this.positions,this.indices,this.normals);
 		const vdata = new babylon["VertexData"]();
@@ -5304,6 +5685,7 @@ class MapCellBuilder_SubMeshBuilder{
 		vdata.indices=this.indices;
 		vdata.normals=this.normals;
 		vdata.uvs=this.uvs;
+		if(colored){ vdata.colors=this.colors; }
 		vdata.applyToMesh(mesh);
 		mesh.material=this.material;
 		return mesh;
@@ -5324,7 +5706,7 @@ class MapCellBuilder_SubMeshBuilder{
 		const indices=MapCellBuilder_SubMeshBuilder.getDefaultIndices();
 		if(options.flip){ MapCellBuilder_SubMeshBuilder.flipFace(indices,normals); }
 		if(options.abnormal){ normals=[ 0,1,0, 0,1,0, 0,1,0, 0,1,0]; }
-		this.pushNewData(positions,indices,normals,uvs);
+		this.pushNewData(positions,indices,normals,uvs,options.color);
 	}
 	addFloorFace(x,z,y,w,h,uvr,options){
 		z=-z;y=y;
@@ -5388,11 +5770,14 @@ class MapCellBuilder_SubMeshBuilder{
 		if(options.flip){ MapCellBuilder_SubMeshBuilder.flipFace(indices,normals); }
 		this.pushNewData(positions,indices,normals,uvs);
 	}
-	pushNewData(positions,indices,normals,uvs){
+	pushNewData(positions,indices,normals,uvs,color=null){
 		this.indices.push(...indices.map(i=>i+this.positions.length/3));
 		this.positions.push(...positions);
 		this.normals.push(...normals);
 		this.uvs.push(...uvs);
+		const {r,g,b} = color||{r:1,g:1,b:1};
+		for (let i=positions.length/3; i>0; --i){ this.colors.push(r,g,b,1); }
+		if(color){ this.colored=true; }
 	}
 	static getUvRect(tsTexture,rect){
 		const { width, height } = tsTexture.getBaseSize();
@@ -5420,6 +5805,40 @@ class MapCellBuilder_SubMeshBuilder{
 		for(let i=0;i<normals.length;++i){ normals[i]*=-1; }
 	}
 }
+// CONCATENATED MODULE: ./src/instancing.js
+
+
+
+
+// event models that move are drawn as instances, each with a tint of its own.
+// static tiles are merged into their cell's mesh instead, with tints in the vertex colors.
+Object.assign(mv3d["a" /* default */],{
+	useInstancing(){
+		return this.INSTANCING&&Boolean(this.engine.getCaps().instancedArrays);
+	},
+
+	prepareInstanceSource(mesh){
+		if(!this.useInstancing()||!(mesh instanceof babylon["Mesh"])||mesh.instancedBuffers){ return mesh; }
+		mesh.registerInstancedBuffer('color',4);
+		mesh.instancedBuffers.color=new babylon["Color4"](1,1,1,1);
+		return mesh;
+	},
+
+	setInstanceTint(mesh,color){
+		if(mesh.instancedBuffers){
+			mesh.instancedBuffers.color=new babylon["Color4"](color.r,color.g,color.b,1);
+		}
+	},
+});
+
+// tints of meshes that aren't instanced are baked into their vertex colors, so they still share their material.
+function tintMesh(mesh,color){
+	mesh.makeGeometryUnique();
+	const colors=[];
+	for (let i=mesh.getTotalVertices(); i>0; --i){ colors.push(color.r,color.g,color.b,1); }
+	mesh.setVerticesData(babylon["VertexBuffer"].ColorKind,colors);
+}
+
 // CONCATENATED MODULE: ./src/model.js
 
 
@@ -5517,6 +5936,7 @@ class model_Model extends babylon["TransformNode"]{
 	clearShape(){
 		this.shape=null;
 		this.model_filename=null;
+		this.model_instanced=false;
 		this.mesh_text=null;
 	}
 	clearMesh(){
@@ -5533,35 +5953,19 @@ class model_Model extends babylon["TransformNode"]{
 		if(this.shape===shape){ return; }
 		this.clearShape();
 		this.shape=shape;
-		let geometry = mv3d["a" /* default */].Meshes.SPRITE;
-		const shapes = mv3d["a" /* default */].enumShapes;
-		switch(this.shape){
-		case shapes.FLAT:
-			geometry = mv3d["a" /* default */].Meshes.FLAT;
-			break;
-		case shapes.XCROSS:
-		case shapes.CROSS:
-			geometry = mv3d["a" /* default */].Meshes.CROSS;
-			break;
-		case shapes['8CROSS']:
-			geometry = mv3d["a" /* default */].Meshes['8CROSS'];
-			break;
-		case shapes.FENCE:
-		case shapes.WALL:
-			geometry = mv3d["a" /* default */].Meshes.WALL;
-			break;
-		case shapes.BOARD:
-			geometry = mv3d["a" /* default */].Meshes.BOARD;
-			break;
-		}
-		this.setMesh(geometry.clone());
+		this.setMesh(getShapeGeometry(shape).clone());
+	}
+	isInstanced(){
+		return this.mesh instanceof babylon["InstancedMesh"];
 	}
 	async importModel(filename,opts={}){
-		if(this.shape === mv3d["a" /* default */].enumShapes.MODEL && this.model_filename === filename){
+		if(this.shape === mv3d["a" /* default */].enumShapes.MODEL && this.model_filename === filename
+		&& this.model_instanced === Boolean(opts.useInstance)){
 			return;
 		}
 		this.clearShape();
 		this.model_filename = filename;
+		this.model_instanced = Boolean(opts.useInstance);
 		this.shape = mv3d["a" /* default */].enumShapes.MODEL;
 		if(opts.useInstance){
 			if(filename in modelInstanceCache){
@@ -5573,6 +5977,7 @@ class model_Model extends babylon["TransformNode"]{
 				var mesh = await mv3d["a" /* default */].importModel(filename);
 				modelInstanceCache[filename]=mesh;
 				mv3d["a" /* default */].scene.removeMesh(mesh);
+				mv3d["a" /* default */].prepareInstanceSource(mesh);
 			}
 			mesh = mesh.createInstance();
 		}else{
@@ -5599,6 +6004,25 @@ class model_Model extends babylon["TransformNode"]{
 }
 mv3d["a" /* default */].Model = model_Model;
 
+function getShapeGeometry(shape){
+	const shapes = mv3d["a" /* default */].enumShapes;
+	switch(shape){
+	case shapes.FLAT:
+		return mv3d["a" /* default */].Meshes.FLAT;
+	case shapes.XCROSS:
+	case shapes.CROSS:
+		return mv3d["a" /* default */].Meshes.CROSS;
+	case shapes['8CROSS']:
+		return mv3d["a" /* default */].Meshes['8CROSS'];
+	case shapes.FENCE:
+	case shapes.WALL:
+		return mv3d["a" /* default */].Meshes.WALL;
+	case shapes.BOARD:
+		return mv3d["a" /* default */].Meshes.BOARD;
+	}
+	return mv3d["a" /* default */].Meshes.SPRITE;
+}
+
 class model_MeshGroup extends babylon["TransformNode"]{
 	constructor(){
 		super('meshGroup',mv3d["a" /* default */].scene);
@@ -5638,6 +6062,31 @@ for(const property of ['receiveShadows','renderingGroupId','visibility','charact
 
 
 
+// corners of the simplified mesh sit at the highest of the four tiles around them.
+function lodCornerHeight(x,y){
+	let height=-Infinity;
+	for (let ty=y-1; ty<=y; ++ty)
+	for (let tx=x-1; tx<=x; ++tx){
+		let cx=tx, cy=ty;
+		if(mv3d["a" /* default */].loopHorizontal()){ cx=cx.mod(mv3d["a" /* default */].mapWidth()); }
+		else{ cx=Object(util["minmax"])(0,mv3d["a" /* default */].mapWidth()-1,cx); }
+		if(mv3d["a" /* default */].loopVertical()){ cy=cy.mod(mv3d["a" /* default */].mapHeight()); }
+		else{ cy=Object(util["minmax"])(0,mv3d["a" /* default */].mapHeight()-1,cy); }
+		height=Math.max(height,mv3d["a" /* default */].getWalkHeight(cx,cy));
+	}
+	return height;
+}
+
+// tinted tiles vary in brightness by position, so rows of the same plant don't look stamped.
+function tileTint(tileConf,x,y){
+	if(!tileConf.tint){ return null; }
+	const {r,g,b} = tileConf.tint;
+	if(!tileConf.tintVariance){ return new babylon["Color3"](r,g,b); }
+	const noise = Math.sin(x*12.9898+y*78.233)*43758.5453;
+	const f = 1+tileConf.tintVariance*((noise-Math.floor(noise))*2-1);
+	return new babylon["Color3"](r*f,g*f,b*f);
+}
+
 class mapCell_MapCell extends babylon["TransformNode"]{
 	constructor(cx,cy){
 		const key = [cx,cy].toString();
@@ -5748,11 +6197,15 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 				await this.loadTile(ceiling,x,y,ceiling.height,0,true,false);
 			}
 
-			//if(mv3d.mapReady){ await sleep(); }
+			await mv3d["a" /* default */].yieldCellBuild();
 			//if(!mv3d.mapLoaded){ this.earlyExit(); return; }
 		}
 		
-		this.mesh=this.builder.build();
+		this.attachMesh(this.builder.build());
+		delete this.builder
+	}
+	attachMesh(mesh){
+		this.mesh=mesh;
 		if(this.mesh){
 			this.mesh.isPickable=false;
 			Object(util["sleep"])(10).then(()=>this.mesh.isPickable=true);
@@ -5761,7 +6214,6 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 			this.mesh.renderingGroupId=mv3d["a" /* default */].enumRenderGroups.MAIN;
 			mv3d["a" /* default */].callFeatures('createCellMesh',this.mesh);
 		}
-		delete this.builder
 	}
 	dispose(){
 		super.dispose(...arguments);
@@ -5771,6 +6223,39 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 		for (const doodad of this.doodads){
 			doodad.dispose();
 		}
+		if(this.lodAtlas){
+			this.lodAtlas.remove(this);
+		}
+	}
+
+	// level of detail
+
+	buildLod(){
+		if(this.lod||!this.mesh){ return; }
+		// the bake only draws meshes whose shaders are ready, so wait for a later update.
+		const meshes = [this.mesh];
+		for (const doodad of this.doodads){ meshes.push(...doodad.meshes); }
+		if(!meshes.every(mesh=>mesh.isReady(true))){ return; }
+		this.lod=true;
+		this.lodHeights=this.computeLodHeights();
+		this.lodAtlas=mv3d["a" /* default */].getLodAtlas();
+		this.lodAtlas.add(this,meshes);
+		mv3d["a" /* default */].callFeatures('destroyCellMesh',this.mesh);
+		this.mesh.dispose();
+		this.mesh=null;
+		for (const doodad of this.doodads){
+			doodad.dispose();
+		}
+		this.doodads.length=0;
+	}
+	computeLodHeights(){
+		const size = mv3d["a" /* default */].CELL_SIZE;
+		const heights=[];
+		for (let j=0; j<=size; ++j)
+		for (let i=0; i<=size; ++i){
+			heights.push(lodCornerHeight(this.ox+i,this.oy+j));
+		}
+		return heights;
 	}
 	async loadDoodad(tileConf,x,y,z,shape){
 		const tileId = tileConf.top_id;
@@ -5792,6 +6277,8 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 		}
 		if(tsMaterial){
 			doodad.mesh.material = tsMaterial;
+			const tint = tileTint(tileConf,this.ox+x,this.oy+y);
+			if(tint){ tintMesh(doodad.mesh,tint); }
 		}
 		doodad.parent=this;
 		doodad.x=x; doodad.y=y; doodad.z=z;
@@ -5819,7 +6306,10 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 		}else{
 			rects = mv3d["a" /* default */].getTileRects(tileId);
 		}
-		const tsMaterial = await mv3d["a" /* default */].getCachedTilesetMaterialForTile(tileConf,ceiling?'bottom':'top');
+		let tsMaterial = await mv3d["a" /* default */].getCachedTilesetMaterialForTile(tileConf,ceiling?'bottom':'top');
+		if(tileConf.water&&!ceiling){
+			tsMaterial = mv3d["a" /* default */].getWaterMaterial(tsMaterial,tileConf.water);
+		}
 		for (const rect of rects){
 			this.builder.addFloorFace(tsMaterial,rect,
 				x + (rect.ox|0)/Object(util["tileSize"])() - 0.25*isAutotile,
@@ -6030,6 +6520,7 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 		const rot = tileConf.shape===mv3d["a" /* default */].enumShapes.XCROSS ? Math.PI/4 : Object(util["degtorad"])(angle);
 		const partHeight = isAutotile ? wallHeight/2 : wallHeight;
 		const partWidth = (tileConf.width||rects[0].width/Object(util["tileWidth"])())/(isAutotile?2:1);
+		const tint = tileTint(tileConf,this.ox+x,this.oy+y);
 		for (let i=0; i<=1; ++i){
 			for (const rect of rects){
 				const irot = -Math.PI/2*i+rot;
@@ -6038,7 +6529,7 @@ class mapCell_MapCell extends babylon["TransformNode"]{
 					x+trans*Math.cos(irot),
 					y+trans*Math.sin(irot),
 					z - (rect.oy|0)/Object(util["tileHeight"])()*wallHeight - partHeight/2,
-					partWidth, partHeight, irot, {double:true, abnormal:mv3d["a" /* default */].ABNORMAL}
+					partWidth, partHeight, irot, {double:true, abnormal:mv3d["a" /* default */].ABNORMAL, color:tint}
 				);
 			}
 		}
@@ -6195,6 +6686,141 @@ mv3d["a" /* default */].getTileCorner=function(tileId,opts={}){
 	return {x:bx,y:by};
 }
 
+// far cells are baked into slots of a shared atlas, and each atlas draws all of its cells as one heightfield,
+// so distant terrain costs one draw call and one texture per atlas instead of one per cell.
+const LOD_ATLAS_SLOTS=8;
+
+class mapCell_LodAtlas{
+	constructor(){
+		const {scene,LOD_TEXTURE_SIZE} = mv3d["a" /* default */];
+		this.slotsPerSide=Object(util["minmax"])(1,LOD_ATLAS_SLOTS,Math.floor(mv3d["a" /* default */].engine.getCaps().maxTextureSize/LOD_TEXTURE_SIZE));
+		this.cells=new Array(this.slotsPerSide*this.slotsPerSide).fill(null);
+		this.mesh=null;
+		const texture = this.texture = new babylon["RenderTargetTexture"]('lod atlas',this.slotsPerSide*LOD_TEXTURE_SIZE,scene,true);
+		texture.activeCamera=mv3d["a" /* default */].getLodCamera();
+		texture.clearColor=new babylon["Color4"](0,0,0,0);
+		texture.refreshRate=babylon["RenderTargetTexture"].REFRESHRATE_RENDER_ONCE;
+		// a bake only clears its own slot.
+		texture.onClearObservable.add(engine=>{
+			const rect = this.slotRect(this.bakingSlot);
+			const size = texture.getRenderWidth();
+			engine.enableScissor(rect.x*size,rect.y*size,rect.size*size,rect.size*size);
+			engine.clear(texture.clearColor,true,true,true);
+			engine.disableScissor();
+		});
+		// bake the bare textures; the simplified mesh is lit like any other cell.
+		let saved;
+		texture.onBeforeRenderObservable.add(()=>{
+			saved={
+				ambient:scene.ambientColor.clone(),
+				fogStart:scene.fogStart, fogEnd:scene.fogEnd,
+				intensities:scene.lights.map(light=>light.intensity),
+			};
+			scene.ambientColor.set(1,1,1);
+			scene.fogStart=1e6; scene.fogEnd=1e6+1;
+			for (const light of scene.lights){ light.intensity=0; }
+		});
+		texture.onAfterRenderObservable.add(()=>{
+			scene.ambientColor.copyFrom(saved.ambient);
+			scene.fogStart=saved.fogStart; scene.fogEnd=saved.fogEnd;
+			scene.lights.forEach((light,i)=>light.intensity=saved.intensities[i]);
+		});
+		const material = this.material = new babylon["StandardMaterial"]('lod atlas',scene);
+		material.diffuseTexture=texture;
+		material.diffuseTexture.hasAlpha=true;
+		material.alphaCutOff=mv3d["a" /* default */].ALPHA_CUTOFF;
+		material.specularColor.set(0,0,0);
+		material.maxSimultaneousLights=mv3d["a" /* default */].LIGHT_LIMIT;
+	}
+	hasFreeSlot(){ return this.cells.includes(null); }
+	isEmpty(){ return this.cells.every(cell=>!cell); }
+	// in texture coordinates, which start at the bottom left like the viewport.
+	slotRect(slot){
+		const n = this.slotsPerSide;
+		return {x:slot%n/n, y:Math.floor(slot/n)/n, size:1/n};
+	}
+	add(cell,meshes){
+		const slot = this.cells.indexOf(null);
+		this.cells[slot]=cell;
+		this.bake(cell,slot,meshes);
+		this.rebuild();
+	}
+	remove(cell){
+		const slot = this.cells.indexOf(cell);
+		if(slot<0){ return; }
+		this.cells[slot]=null;
+		if(this.isEmpty()){
+			mv3d["a" /* default */].lodAtlases.splice(mv3d["a" /* default */].lodAtlases.indexOf(this),1);
+			this.dispose();
+		}else{
+			this.rebuild();
+		}
+	}
+	bake(cell,slot,meshes){
+		const {CELL_SIZE} = mv3d["a" /* default */];
+		const camera = this.texture.activeCamera;
+		const half = CELL_SIZE/2;
+		const rect = this.slotRect(slot);
+		cell.computeWorldMatrix(true);
+		camera.position.set(cell.position.x+half-0.5,mv3d["a" /* default */].LOD_CAMERA_HEIGHT,cell.position.z-half+0.5);
+		camera.orthoLeft=camera.orthoBottom=-half;
+		camera.orthoRight=camera.orthoTop=half;
+		camera.viewport=new babylon["Viewport"](rect.x,rect.y,rect.size,rect.size);
+		this.bakingSlot=slot;
+		this.texture.renderList=meshes;
+		this.texture.render();
+		this.texture.renderList=[];
+	}
+	// cells move when a looping map wraps around, and the heightfield has to follow them.
+	update(){
+		if(this.cells.some(cell=>cell&&!cell.position.equals(cell.lodPosition))){
+			this.rebuild();
+		}
+	}
+	rebuild(){
+		const size = mv3d["a" /* default */].CELL_SIZE;
+		const positions=[], uvs=[], indices=[], normals=[];
+		this.cells.forEach((cell,slot)=>{
+			if(!cell){ return; }
+			cell.lodPosition=cell.position.clone();
+			const {x,y,z} = cell.position;
+			const rect = this.slotRect(slot);
+			const first = positions.length/3;
+			for (let j=0; j<=size; ++j)
+			for (let i=0; i<=size; ++i){
+				positions.push(x+i-0.5,y+cell.lodHeights[i+j*(size+1)],z-(j-0.5));
+				uvs.push(rect.x+i/size*rect.size,rect.y+(1-j/size)*rect.size);
+			}
+			for (let j=0; j<size; ++j)
+			for (let i=0; i<size; ++i){
+				const a = first+i+j*(size+1);
+				indices.push(a+size+2,a+1,a, a+size+1,a+size+2,a);
+			}
+		});
+		babylon["VertexData"].ComputeNormals(positions,indices,normals);
+		const vertexData = new babylon["VertexData"]();
+		Object.assign(vertexData,{positions,indices,normals,uvs});
+		if(!this.mesh){
+			const mesh = this.mesh = new babylon["Mesh"]('lod atlas',mv3d["a" /* default */].scene);
+			mesh.parent=mv3d["a" /* default */].map;
+			mesh.material=this.material;
+			mesh.alphaIndex=0;
+			mesh.renderingGroupId=mv3d["a" /* default */].enumRenderGroups.MAIN;
+			vertexData.applyToMesh(mesh,true);
+			mv3d["a" /* default */].callFeatures('createCellMesh',mesh);
+		}else{
+			vertexData.applyToMesh(this.mesh,true);
+		}
+	}
+	dispose(){
+		if(this.mesh){
+			mv3d["a" /* default */].callFeatures('destroyCellMesh',this.mesh);
+			this.mesh.dispose();
+		}
+		this.material.dispose();
+		this.texture.dispose();
+	}
+}
 
 // CONCATENATED MODULE: ./src/tileData.js
 
@@ -6312,6 +6938,14 @@ Object.assign(mv3d["a" /* default */],{
 		},
 	}),
 
+	getWaterConfig(x,y){
+		for(let l=0; l<=3; ++l){
+			const conf = this.getTileConfig(x,y,l);
+			if(conf.water){ return conf.water; }
+		}
+		return null;
+	},
+
 	getTileTextureOffsets(tileId,x,y,l){
 		const conf = this.getTileConfig(tileId,x,y,l);
 		this._tileTextureOffset(conf,'top',tileId,tileId);
@@ -6707,6 +7341,12 @@ Object.assign(mv3d["a" /* default */],{
 		const kind = Tilemap.getAutotileKind(tileId);
 		return Tilemap.TILE_ID_A1 + kind*48;
 	},
+	deconstructTileId(tileId){
+		const img = this.getSetName(tileId);
+		const tileRange = Tilemap.isAutotile(tileId) ? 48 : 1;
+		const index = Math.floor((tileId-Tilemap[`TILE_ID_${img}`])/tileRange);
+		return [img,index%8,Math.floor(index/8)];
+	},
 
 });
 // CONCATENATED MODULE: ./src/loadMap.js
@@ -6746,6 +7386,10 @@ Object.assign(mv3d["a" /* default */],{
 			this.cells[key].dispose(false,true);
 		}
 		this.cells={};
+		for (const atlas of this.lodAtlases){
+			atlas.dispose();
+		}
+		this.lodAtlases.length=0;
 		// clear model cache
 		this.clearModelCache();
 	},
@@ -6792,7 +7436,8 @@ Object.assign(mv3d["a" /* default */],{
 				bounds.bottom=Math.min(bounds.bottom,Math.ceil(this.mapHeight()/this.CELL_SIZE)-1);
 			}
 		}
-		const cellsToLoad=[];
+		const frustumPlanes = this.mapReady&&this.DEFER_OFFSCREEN_CELLS ? babylon["Frustum"].GetPlanes(this.scene.getTransformMatrix()) : null;
+		let cellsToLoad=[];
 		for (let ix=bounds.left;ix<=bounds.right;++ix)
 		for (let iy=bounds.top;iy<=bounds.bottom;++iy){
 			let cx=ix, cy=iy;
@@ -6802,7 +7447,9 @@ Object.assign(mv3d["a" /* default */],{
 			if(key in this.cells){
 				this.cells[key].unload=false;
 			}else{
-				cellsToLoad.push(new babylon["Vector2"](cx,cy));
+				const cellpos = new babylon["Vector2"](cx,cy);
+				cellpos.visible = !frustumPlanes || this.cellInFrustum(ix,iy,frustumPlanes);
+				cellsToLoad.push(cellpos);
 			}
 		}
 		for (const key in this.cells){
@@ -6811,20 +7458,86 @@ Object.assign(mv3d["a" /* default */],{
 				delete this.cells[key];
 			}
 		}
+		// cells outside the camera's view wait until everything in view is built.
+		if(cellsToLoad.some(cellpos=>cellpos.visible)){
+			cellsToLoad=cellsToLoad.filter(cellpos=>cellpos.visible);
+		}
 		const cameraCellPos = new babylon["Vector2"](Math.round(this.cameraStick.x/this.CELL_SIZE-0.5),Math.round(this.cameraStick.y/this.CELL_SIZE-0.5));
 		cellsToLoad.sort((a,b)=>babylon["Vector2"].DistanceSquared(a,cameraCellPos)-babylon["Vector2"].DistanceSquared(b,cameraCellPos));
 		if(this.mapReady){
 			cellsToLoad.length=Math.min(25,cellsToLoad.length);
 		}
+		this.cellBuildStart=performance.now();
 		for (const cellpos of cellsToLoad){
 			let {x:cx,y:cy} = cellpos;
 			await this.loadMapCell(cx,cy);
-			if(this.mapReady){ await Object(util["sleep"])(10); }
+			await this.yieldCellBuild();
 			if(!this.mapLoaded){ this.endMapUpdate(); return; }
 		}
+		await this.updateCellLods();
 		this.endMapUpdate();
 	},
 
+	cellInFrustum(ix,iy,frustumPlanes){
+		// cell heights aren't known before they're built, so the box is generous.
+		const box = new babylon["BoundingBox"](
+			new babylon["Vector3"](ix*this.CELL_SIZE-0.5,-this.CELL_SIZE,-(iy+1)*this.CELL_SIZE+0.5),
+			new babylon["Vector3"]((ix+1)*this.CELL_SIZE-0.5,this.CELL_SIZE*2,-iy*this.CELL_SIZE+0.5),
+		);
+		return box.isInFrustum(frustumPlanes);
+	},
+
+	cellBuildStart:0,
+	async yieldCellBuild(){
+		if(!this.mapReady){ return; }
+		if(performance.now()-this.cellBuildStart<this.CELL_BUILD_BUDGET){ return; }
+		await new Promise(resolve=>requestAnimationFrame(resolve));
+		this.cellBuildStart=performance.now();
+	},
+
+	lodDist(){
+		return this.getMapConfig('lod',this.LOD_DIST);
+	},
+
+	async updateCellLods(){
+		const lodDist = this.lodDist();
+		for (const key in this.cells){
+			const cell = this.cells[key];
+			if(!cell){ continue; }
+			const center = this.loopCoords((cell.cx+0.5)*this.CELL_SIZE,(cell.cy+0.5)*this.CELL_SIZE);
+			const dist = Math.max(Math.abs(center.x-this.cameraStick.x),Math.abs(center.y-this.cameraStick.y))-this.CELL_SIZE/2;
+			const far = lodDist>0 && dist>lodDist;
+			if(far&&!cell.lod){
+				cell.buildLod();
+			}else if(!far&&cell.lod){
+				await this.rebuildMapCell(cell.cx,cell.cy);
+			}else{ continue; }
+			await this.yieldCellBuild();
+			if(!this.mapLoaded){ return; }
+		}
+	},
+
+	lodAtlases:[],
+	getLodAtlas(){
+		let atlas = this.lodAtlases.find(atlas=>atlas.hasFreeSlot());
+		if(!atlas){
+			atlas = new mapCell_LodAtlas();
+			this.lodAtlases.push(atlas);
+		}
+		return atlas;
+	},
+
+	getLodCamera(){
+		if(this.lodCamera){ return this.lodCamera; }
+		const camera = this.lodCamera = new babylon["FreeCamera"]('lod camera',new babylon["Vector3"](0,0,0),this.scene,false);
+		camera.mode=babylon["Camera"].ORTHOGRAPHIC_CAMERA;
+		// looking straight down, with north at the top of the texture.
+		camera.rotation.set(Math.PI/2,0,0);
+		camera.minZ=0.1;
+		camera.maxZ=this.LOD_CAMERA_HEIGHT*2;
+		return camera;
+	},
+
 	endMapUpdate(){
 		this.mapUpdating=false;
 		this.mapReady=true;
@@ -6835,7 +7548,35 @@ Object.assign(mv3d["a" /* default */],{
 		if(key in this.cells){ return; }
 		const cell = new mapCell_MapCell(cx,cy);
 		this.cells[key]=cell;
+		cell.loading=true;
+		await cell.load();
+		cell.loading=false;
+	},
+	// rebuilds from the lods and the tile editor run one at a time.
+	cellRebuildQueue:Promise.resolve(),
+	rebuildMapCell(cx,cy){
+		const rebuild = this.cellRebuildQueue.then(()=>this.replaceMapCell(cx,cy));
+		this.cellRebuildQueue = rebuild.catch(()=>{});
+		return rebuild;
+	},
+	async replaceMapCell(cx,cy){
+		const key = [cx,cy].toString();
+		const oldCell = this.cells[key];
+		// a cell that is still loading will be built with the current configuration anyway.
+		if(!this.mapLoaded||!oldCell||oldCell.loading){ return; }
+		// build the replacement before disposing the old cell, so the tiles don't flicker.
+		const cell = new mapCell_MapCell(cx,cy);
 		await cell.load();
+		// the map may have been cleared or the cell unloaded in the meantime.
+		if(!this.mapLoaded||this.cells[key]!==oldCell){
+			cell.dispose();
+			return;
+		}
+		this.cells[key]=cell;
+		cell.characters.push(...oldCell.characters);
+		for(const character of cell.characters){ character.cell=cell; }
+		oldCell.characters.length=0;
+		oldCell.dispose();
 	},
 
 	_cellsNeedingIntensiveUpdate:[],
@@ -7280,6 +8021,7 @@ class characters_Character extends babylon["TransformNode"]{
 		this.isEvent = this.char instanceof Game_Event;
 		this.isPlayer = this.char instanceof Game_Player;
 		this.isFollower = this.char instanceof Game_Follower;
+		this.waterSink = 0;
 
 		this.updateCharacter();
 		this.updateShape();
@@ -7485,7 +8227,7 @@ class characters_Character extends babylon["TransformNode"]{
 	async updateShape(){
 		const shape = this.getShape();
 		if(shape===mv3d["a" /* default */].enumShapes.MODEL){
-			await this.model.importModel(this.getConfig('model'));
+			await this.model.importModel(this.getConfig('model'),{useInstance:this.canInstanceModel()});
 		}else{
 			this.model.setMeshForShape(shape);
 		}
@@ -7493,7 +8235,18 @@ class characters_Character extends babylon["TransformNode"]{
 		this.dirtyNearbyCells();
 	}
 
+	// instances share their source's materials, so events that fade or change blend mode get a model of their own.
+	canInstanceModel(){
+		return mv3d["a" /* default */].useInstancing()
+		&& this.getConfig('alpha',1)>=1 && this.char.opacity()>=255
+		&& mv3d["a" /* default */].blendModes[this.char.blendMode()]===mv3d["a" /* default */].blendModes.NORMAL;
+	}
+
 	updateEmissive(){
+		if(this.model.isInstanced()){
+			this.updateInstanceTint();
+			return;
+		}
 		const materials = this.model.materials;
 		if(!materials.length){ return; }
 		const glow = this.getConfig('glow', new babylon["Color4"](0,0,0,0));
@@ -7503,6 +8256,7 @@ class characters_Character extends babylon["TransformNode"]{
 		}
 		const blendColor = this.mv_sprite._blendColor;
 		const blendAlpha=blendColor[3]/255;
+		const hover = mv3d["a" /* default */].getHoverHighlight(this.char);
 		const noShadow = !this.getConfig('dynShadow',true);
 		for(const material of materials){
 			const emissiveColor = material.emissiveColor;
@@ -7525,6 +8279,7 @@ class characters_Character extends babylon["TransformNode"]{
 			emissiveColor.r+=(2-emissiveColor.r)*Math.pow(blendColor[0]/255*blendAlpha,0.5);
 			emissiveColor.g+=(2-emissiveColor.g)*Math.pow(blendColor[1]/255*blendAlpha,0.5);
 			emissiveColor.b+=(2-emissiveColor.b)*Math.pow(blendColor[2]/255*blendAlpha,0.5);
+			emissiveColor.r+=hover; emissiveColor.g+=hover; emissiveColor.b+=hover;
 
 			if(this.hasConfig('ambient')){
 				material.ambientColor.copyFrom(this.getConfig('ambient'));
@@ -7536,6 +8291,27 @@ class characters_Character extends babylon["TransformNode"]{
 		}
 	}
 
+	updateInstanceTint(){
+		const glow = this.getConfig('glow', new babylon["Color4"](0,0,0,0));
+		const tint = new babylon["Color3"](1,1,1);
+		for (const c of ['r','g','b']){
+			let emissive = glow[c];
+			if(this.lamp){
+				const intensity = Math.max(0,Math.min(1,this.lamp.intensity,this.lamp.range,this.lamp.intensity/4+this.lamp.range/4));
+				emissive = Math.max(emissive,this.lamp.diffuse[c]*intensity);
+			}
+			tint[c] += emissive;
+		}
+		const blendColor = this.mv_sprite._blendColor;
+		const blendAlpha=blendColor[3]/255;
+		tint.r+=Math.pow(blendColor[0]/255*blendAlpha,0.5);
+		tint.g+=Math.pow(blendColor[1]/255*blendAlpha,0.5);
+		tint.b+=Math.pow(blendColor[2]/255*blendAlpha,0.5);
+		const hover = mv3d["a" /* default */].getHoverHighlight(this.char);
+		tint.r+=hover; tint.g+=hover; tint.b+=hover;
+		mv3d["a" /* default */].setInstanceTint(this.model.mesh,tint);
+	}
+
 	setupMesh(){
 		if(this.isEmpty){
 			this.model.setEnabled(false);
@@ -7773,11 +8549,14 @@ class characters_Character extends babylon["TransformNode"]{
 			if(mv3d["a" /* default */].loopHorizontal()){ cx=cx.mod(Math.ceil(mv3d["a" /* default */].mapWidth()/mv3d["a" /* default */].CELL_SIZE)); }
 			if(mv3d["a" /* default */].loopVertical()){ cy=cy.mod(Math.ceil(mv3d["a" /* default */].mapHeight()/mv3d["a" /* default */].CELL_SIZE)); }
 			const cell = mv3d["a" /* default */].cells[[cx,cy]];
-			if(!cell||!cell.mesh){ continue; }
-			const sphere = cell.mesh.getBoundingInfo().boundingSphere;
+			if(!cell){ continue; }
+			// far cells are drawn by their atlas, which several cells in range can share.
+			const cellMesh = cell.lodAtlas ? cell.lodAtlas.mesh : cell.mesh;
+			if(!cellMesh){ continue; }
+			const sphere = cellMesh.getBoundingInfo().boundingSphere;
 			const dist = babylon["Vector3"].Distance(pos,sphere.centerWorld);
 			if(dist>=sphere.radiusWorld+light.range){ continue; }
-			meshes.push(cell.mesh);
+			if(!meshes.includes(cellMesh)){ meshes.push(cellMesh); }
 			for(const character of cell.characters)for(const mesh of character.model.meshes){
 				const sphere = mesh.getBoundingInfo().boundingSphere;
 				const dist = babylon["Vector3"].Distance(pos,sphere.centerWorld);
@@ -7938,6 +8717,17 @@ class characters_Character extends babylon["TransformNode"]{
 		))&&!(this.blendElevation.currentValue()||this.falling);
 	}
 
+	getWaterSink(){
+		let target=0;
+		if(this.hasBush()&&!this.char.isJumping()){
+			const water = mv3d["a" /* default */].getWaterConfig(Math.round(this.char._realX),Math.round(this.char._realY));
+			if(water){ target = 'sink' in water ? water.sink : mv3d["a" /* default */].WATER_SINK; }
+		}
+		// ease in and out of the water instead of popping.
+		this.waterSink += Object(util["minmax"])(-0.05,0.05,target-this.waterSink);
+		return this.waterSink;
+	}
+
 	//===========================
 	//	Update Functions
 	//===========================
@@ -8038,6 +8828,10 @@ class characters_Character extends babylon["TransformNode"]{
 	}
 
 	updateAlpha(){
+		if(this.model.model_instanced && !this.canInstanceModel()){
+			this.model.importModel(this.getConfig('model'),{useInstance:false});
+			return;
+		}
 		const materials = this.model.materials;
 		if(!materials.length){ return; }
 		
@@ -8134,6 +8928,7 @@ class characters_Character extends babylon["TransformNode"]{
 		this.spriteOrigin.x += this.getConfig('xoff',0);
 		this.spriteOrigin.y += this.getConfig('yoff',0);
 		this.spriteOrigin.z += this.getConfig('zoff',0);
+		this.spriteOrigin.z -= this.getWaterSink();
 		
 	}
 
@@ -8272,6 +9067,8 @@ class characters_Character extends babylon["TransformNode"]{
 
 	updateShadow(){
 		let shadowVisible = Boolean(this.getConfig('shadow', this.model.shape!=mv3d["a" /* default */].enumShapes.FLAT ));
+		// characters that cast a real shadow from the sun don't need the blob.
+		if(shadowVisible&&mv3d["a" /* default */].sunShadowsActive()&&this.getConfig('dynShadow',true)){ shadowVisible=false; }
 
 		if(shadowVisible&&(this.isPlayer||this.isFollower)){
 			const myIndex = mv3d["a" /* default */].characters.indexOf(this);
@@ -8878,8 +9675,1362 @@ Game_CharacterBase.prototype.mv3d_screenBounds=function(){
 // EXTERNAL MODULE: ./src/plugin_support/plugin_support.js
 var plugin_support = __webpack_require__(6);
 
-// CONCATENATED MODULE: ./src/index.js
-
+// CONCATENATED MODULE: ./src/feature-dynamicShadows.js
+
+
+
+
+const shadowMapSizes=[0,512,1024,2048];
+const shadowGenerators=new Map();
+const shadowCasters=[];
+
+Object.assign(mv3d["a" /* default */],{
+	shadowQuality(){
+		const quality = this.getMapConfig('shadowQuality',this.SHADOW_QUALITY);
+		return Math.min(quality,this.shadowQualityLimit);
+	},
+	sunShadowsActive(){
+		return this.featureEnabled('dynamicShadows') && shadowGenerators.has(this.sunlight);
+	},
+	setSun(sun){
+		const pitch=Object(util["degtorad"])(sun.pitch), yaw=Object(util["degtorad"])(sun.yaw);
+		this.sunlight.diffuse.set((sun.color>>16)/255,(sun.color>>8&0xff)/255,(sun.color&0xff)/255);
+		this.sunlight.intensity=sun.intensity;
+		// yaw is the compass direction the light travels in, pitch its angle below the horizon.
+		this.sunlight.direction.set(Math.sin(yaw)*Math.cos(pitch),-Math.sin(pitch),Math.cos(yaw)*Math.cos(pitch));
+	},
+	updateShadowGenerators(){
+		for(const generator of shadowGenerators.values()){ generator.dispose(); }
+		shadowGenerators.clear();
+		if(!this.sunlight||this.shadowQuality()<=0){ return; }
+		const generator = makeShadowGenerator(this.sunlight,this.shadowQuality());
+		generator.getShadowMap().renderList=shadowCasters;
+		shadowGenerators.set(this.sunlight,generator);
+	},
+});
+
+function makeShadowGenerator(light,quality){
+	const isPointLight = light instanceof babylon["PointLight"];
+	// point lights render a cube map, so they use smaller faces.
+	const generator = new babylon["ShadowGenerator"](shadowMapSizes[quality]/(isPointLight?2:1),light);
+	generator.customAllowRendering=subMesh=>{
+		const material = subMesh.getMaterial();
+		return !(material&&material.mv3d_noShadow);
+	};
+	if(isPointLight||quality<2){
+		generator.usePoissonSampling=true;
+	}else{
+		generator.usePercentageCloserFiltering=true;
+		generator.filteringQuality=quality>2?babylon["ShadowGenerator"].QUALITY_HIGH:babylon["ShadowGenerator"].QUALITY_MEDIUM;
+	}
+	return generator;
+}
+
+function addShadowCaster(mesh){
+	for(const m of mesh instanceof mv3d["a" /* default */].MeshGroup?mesh.meshes:[mesh]){
+		if(!shadowCasters.includes(m)){ shadowCasters.push(m); }
+	}
+}
+
+function removeShadowCaster(mesh){
+	for(const m of mesh instanceof mv3d["a" /* default */].MeshGroup?mesh.meshes:[mesh]){
+		const index = shadowCasters.indexOf(m);
+		if(index>=0){ shadowCasters.splice(index,1); }
+	}
+}
+
+function updateSunShadowArea(){
+	const sun = mv3d["a" /* default */].sunlight;
+	const dist = mv3d["a" /* default */].SHADOW_DIST;
+	sun.position.copyFrom(sun.direction).scaleInPlace(-dist).addInPlace(mv3d["a" /* default */].cameraStick.position);
+	sun.orthoLeft=sun.orthoBottom=-dist;
+	sun.orthoRight=sun.orthoTop=dist;
+	sun.shadowMinZ=0;
+	sun.shadowMaxZ=dist*2;
+}
+
+function updateLightShadows(){
+	const quality = mv3d["a" /* default */].shadowQuality();
+	const lights = new Set();
+	if(quality>0) for(const character of mv3d["a" /* default */].characters){
+		if(!character.getConfig('lightShadows',false)){ continue; }
+		for(const light of [character.lamp,character.flashlight]){
+			if(!light){ continue; }
+			lights.add(light);
+			if(shadowGenerators.has(light)){ continue; }
+			const generator = makeShadowGenerator(light,quality);
+			// only the meshes the light reaches need to be drawn.
+			generator.getShadowMap().renderList=light.includedOnlyMeshes;
+			shadowGenerators.set(light,generator);
+		}
+	}
+	for(const [light,generator] of shadowGenerators){
+		if(light===mv3d["a" /* default */].sunlight||lights.has(light)){ continue; }
+		generator.dispose();
+		shadowGenerators.delete(light);
+	}
+}
+
+new mv3d["a" /* default */].Feature('dynamicShadows',{
+	setup(){
+		mv3d["a" /* default */].sunlight = new babylon["DirectionalLight"]('sun',new babylon["Vector3"](0,-1,0),mv3d["a" /* default */].scene);
+		mv3d["a" /* default */].sunlight.renderPriority=3;
+		mv3d["a" /* default */].sunlight.specular.set(0,0,0);
+		mv3d["a" /* default */].sunlight.autoUpdateExtends=false;
+	},
+	applyMapSettings(mapconf){
+		mv3d["a" /* default */].setSun(Object.assign({
+			color:mv3d["a" /* default */].SUN_COLOR,
+			intensity:mv3d["a" /* default */].SUN_INTENSITY,
+			yaw:mv3d["a" /* default */].SUN_YAW,
+			pitch:mv3d["a" /* default */].SUN_PITCH,
+		},mapconf.sun));
+		mv3d["a" /* default */].updateShadowGenerators();
+	},
+	updateParameters(){
+		mv3d["a" /* default */].updateShadowGenerators();
+	},
+	update(){
+		if(mv3d["a" /* default */].sunShadowsActive()){ updateSunShadowArea(); }
+		updateLightShadows();
+	},
+	clearMap(){
+		shadowCasters.length=0;
+	},
+	createCellMesh(mesh){
+		mesh.receiveShadows=true;
+		addShadowCaster(mesh);
+	},
+	destroyCellMesh(mesh){
+		removeShadowCaster(mesh);
+	},
+	createCharMesh(mesh){
+		addShadowCaster(mesh);
+	},
+	destroyCharMesh(mesh){
+		removeShadowCaster(mesh);
+	},
+},()=>mv3d["a" /* default */].DYNAMIC_SHADOWS);
+
+// CONCATENATED MODULE: ./src/feature-water.js
+
+
+
+
+babylon["Effect"].ShadersStore.mv3dWaterVertexShader=`
+precision highp float;
+attribute vec3 position;
+attribute vec2 uv;
+uniform mat4 world;
+uniform mat4 viewProjection;
+uniform mat4 textureMatrix;
+uniform float time;
+uniform float waveHeight;
+varying vec2 vUV;
+varying vec3 vPosition;
+varying vec4 vScreen;
+void main(){
+	vec4 worldPos=world*vec4(position,1.0);
+	worldPos.y+=waveHeight*(sin(worldPos.x*1.7+time*1.3)+sin(worldPos.z*2.3+time*1.1))*0.5;
+	vPosition=worldPos.xyz;
+	vUV=vec2(textureMatrix*vec4(uv,1.0,0.0));
+	gl_Position=viewProjection*worldPos;
+	vScreen=gl_Position;
+}
+`;
+
+babylon["Effect"].ShadersStore.mv3dWaterFragmentShader=`
+precision highp float;
+varying vec2 vUV;
+varying vec3 vPosition;
+varying vec4 vScreen;
+uniform sampler2D diffuseSampler;
+uniform sampler2D maskSampler;
+uniform sampler2D reflectionSampler;
+uniform sampler2D refractionSampler;
+uniform float time;
+uniform vec2 mapSize;
+uniform vec2 mapLoop;
+uniform vec3 eyePosition;
+uniform vec4 waterColor;
+uniform vec3 skyColor;
+uniform vec3 ambientColor;
+uniform vec3 fogColor;
+uniform vec2 fogRange;
+uniform float reflectivity;
+uniform float refractivity;
+void main(){
+	vec4 base=texture2D(diffuseSampler,vUV);
+	if(base.a<0.5){ discard; }
+	vec2 ripple=vec2(
+		sin(vPosition.x*6.0+time*2.0)+sin(vPosition.z*4.0-time*1.6),
+		cos(vPosition.z*5.0+time*1.8)+cos(vPosition.x*3.0-time*1.2)
+	)*0.01;
+	vec2 screenUV=vScreen.xy/vScreen.w*0.5+0.5;
+	// refraction only shows what is actually under the surface, the tile texture fills the rest.
+	vec4 refraction=texture2D(refractionSampler,screenUV+ripple);
+	vec3 color=mix(base.rgb,refraction.rgb,refraction.a*refractivity);
+	color=mix(color,waterColor.rgb,waterColor.a)*ambientColor;
+	vec3 normal=normalize(vec3(ripple.x*8.0,1.0,ripple.y*8.0));
+	float fresnel=0.05+0.6*pow(1.0-max(dot(normalize(eyePosition-vPosition),normal),0.0),3.0);
+	vec4 reflection=texture2D(reflectionSampler,screenUV+ripple);
+	color=mix(color,mix(skyColor,reflection.rgb,reflection.a*reflectivity),fresnel);
+	// the mask is white over water, so it fades out towards the shore.
+	vec2 mapPos=(vec2(vPosition.x,-vPosition.z)+0.5)/mapSize;
+	mapPos=mix(clamp(mapPos,0.0,1.0),fract(mapPos),mapLoop);
+	float shore=texture2D(maskSampler,mapPos).r+0.06*sin(time*1.5+(vPosition.x-vPosition.z)*3.0);
+	color=mix(color,ambientColor,smoothstep(0.9,0.6,shore)*0.7);
+	float fog=clamp((fogRange.y-length(eyePosition-vPosition))/(fogRange.y-fogRange.x),0.0,1.0);
+	gl_FragColor=vec4(mix(fogColor,color,fog),1.0);
+}
+`;
+
+const waterMaterials=new Set();
+const waterRenderList=[];
+const waterState={
+	time:0,
+	level:0,
+	mask:null,
+	reflection:null,
+	refraction:null,
+};
+
+Object.assign(mv3d["a" /* default */],{
+	getWaterMaterial(tsMaterial,water){
+		if(!this.featureEnabled('water')){ return tsMaterial; }
+		const {
+			color=this.WATER_COLOR,
+			opacity=this.WATER_OPACITY,
+			waves=this.WATER_WAVES,
+		} = water;
+		const key = `WATER:${tsMaterial.name}|${color},${opacity},${waves}`;
+		if(key in this.materialCache){
+			return this.materialCache[key];
+		}
+		const material = new babylon["ShaderMaterial"](key,this.scene,'mv3dWater',{
+			attributes:['position','uv'],
+			uniforms:[
+				'world','viewProjection','textureMatrix','time','waveHeight','mapSize','mapLoop','eyePosition',
+				'waterColor','skyColor','ambientColor','fogColor','fogRange','reflectivity','refractivity',
+			],
+			samplers:['diffuseSampler','maskSampler','reflectionSampler','refractionSampler'],
+		});
+		material.mv3d_water=true;
+		material.mv3d_noShadow=true;
+		material.backFaceCulling=tsMaterial.backFaceCulling;
+		material.mv3d_diffuseTexture=tsMaterial.diffuseTexture;
+		material.setTexture('diffuseSampler',tsMaterial.diffuseTexture);
+		material.setFloat('waveHeight',waves);
+		material.setColor4('waterColor',new babylon["Color4"]((color>>16)/255,(color>>8&0xff)/255,(color&0xff)/255,opacity));
+		setWaterTextures(material);
+		this.materialCache[key]=material;
+		waterMaterials.add(material);
+		return material;
+	},
+});
+
+function setWaterTextures(material){
+	const {mask,reflection,refraction} = waterState;
+	if(mask){ material.setTexture('maskSampler',mask); }
+	material.setFloat('reflectivity',+Boolean(reflection));
+	material.setFloat('refractivity',refraction?0.6:0);
+	if(reflection){ material.setTexture('reflectionSampler',reflection); }
+	if(refraction){ material.setTexture('refractionSampler',refraction); }
+}
+
+function buildWaterMask(){
+	const width=mv3d["a" /* default */].mapWidth(), height=mv3d["a" /* default */].mapHeight();
+	const data = new Uint8Array(width*height);
+	const levels = new Map();
+	for (let y=0; y<height; ++y)
+	for (let x=0; x<width; ++x){
+		if(!mv3d["a" /* default */].getWaterConfig(x,y)){ continue; }
+		data[y*width+x]=255;
+		const z = mv3d["a" /* default */].getWalkHeight(x,y);
+		levels.set(z,(levels.get(z)||0)+1);
+	}
+	if(!levels.size){ return false; }
+	// reflections are planar, so they're taken at the most common water level.
+	let count=0;
+	for(const [z,n] of levels){
+		if(n>count){ waterState.level=z; count=n; }
+	}
+	waterState.mask = babylon["RawTexture"].CreateLuminanceTexture(data,width,height,mv3d["a" /* default */].scene,false,false,babylon["Texture"].BILINEAR_SAMPLINGMODE);
+	waterState.mask.wrapU=waterState.mask.wrapV=babylon["Texture"].CLAMP_ADDRESSMODE;
+	return true;
+}
+
+function createWaterTargets(){
+	const {scene} = mv3d["a" /* default */];
+	const level = waterState.level;
+	const reflection = new babylon["MirrorTexture"]('water reflection',{ratio:0.5},scene,false);
+	reflection.mirrorPlane=babylon["Plane"].FromPositionAndNormal(new babylon["Vector3"](0,level,0),new babylon["Vector3"](0,-1,0));
+	const refraction = new babylon["RefractionTexture"]('water refraction',{ratio:0.5},scene,false);
+	refraction.refractionPlane=babylon["Plane"].FromPositionAndNormal(new babylon["Vector3"](0,level,0),new babylon["Vector3"](0,1,0));
+	for(const target of [reflection,refraction]){
+		target.renderList=waterRenderList;
+		target.clearColor=new babylon["Color4"](0,0,0,0);
+		target.customRenderFunction=renderWithoutWater;
+		scene.customRenderTargets.push(target);
+	}
+	Object.assign(waterState,{reflection,refraction});
+}
+
+// water can't be drawn into the textures it samples from.
+function renderWithoutWater(opaqueSubMeshes,alphaTestSubMeshes,transparentSubMeshes){
+	for(const subMeshes of [opaqueSubMeshes,alphaTestSubMeshes,transparentSubMeshes])
+	for(let i=0; i<subMeshes.length; ++i){
+		const subMesh = subMeshes.data[i];
+		const material = subMesh.getMaterial();
+		if(material&&material.mv3d_water){ continue; }
+		subMesh.render(subMeshes===transparentSubMeshes);
+	}
+}
+
+function disposeWater(){
+	const {scene} = mv3d["a" /* default */];
+	for(const target of [waterState.reflection,waterState.refraction]){
+		if(!target){ continue; }
+		const index = scene.customRenderTargets.indexOf(target);
+		if(index>=0){ scene.customRenderTargets.splice(index,1); }
+		target.dispose();
+	}
+	if(waterState.mask){ waterState.mask.dispose(); }
+	Object.assign(waterState,{mask:null,reflection:null,refraction:null});
+	waterMaterials.clear();
+}
+
+function setupWater(){
+	disposeWater();
+	if(!buildWaterMask()){ return; }
+	if(mv3d["a" /* default */].WATER_QUALITY>=2){ createWaterTargets(); }
+}
+
+function updateWaterMaterials(){
+	const {scene} = mv3d["a" /* default */];
+	const camera = scene.activeCamera;
+	waterState.time+=scene.getEngine().getDeltaTime()/1000;
+	const mapSize = new babylon["Vector2"](mv3d["a" /* default */].mapWidth(),mv3d["a" /* default */].mapHeight());
+	const mapLoop = new babylon["Vector2"](+Boolean(mv3d["a" /* default */].loopHorizontal()),+Boolean(mv3d["a" /* default */].loopVertical()));
+	const fogRange = scene.fogEnabled ? new babylon["Vector2"](scene.fogStart,scene.fogEnd) : new babylon["Vector2"](1e6,1e6+1);
+	for(const material of waterMaterials){
+		material.setMatrix('textureMatrix',material.mv3d_diffuseTexture.getTextureMatrix());
+		material.setFloat('time',waterState.time);
+		material.setVector2('mapSize',mapSize);
+		material.setVector2('mapLoop',mapLoop);
+		if(camera){ material.setVector3('eyePosition',camera.globalPosition); }
+		material.setColor3('skyColor',scene.fogColor);
+		material.setColor3('ambientColor',scene.ambientColor);
+		material.setColor3('fogColor',scene.fogColor);
+		material.setVector2('fogRange',fogRange);
+	}
+}
+
+function addWaterRenderMesh(mesh){
+	for(const m of mesh instanceof mv3d["a" /* default */].MeshGroup?mesh.meshes:[mesh]){
+		if(!waterRenderList.includes(m)){ waterRenderList.push(m); }
+	}
+}
+
+function removeWaterRenderMesh(mesh){
+	for(const m of mesh instanceof mv3d["a" /* default */].MeshGroup?mesh.meshes:[mesh]){
+		const index = waterRenderList.indexOf(m);
+		if(index>=0){ waterRenderList.splice(index,1); }
+	}
+}
+
+new mv3d["a" /* default */].Feature('water',{
+	afterMapLoad(){
+		setupWater();
+	},
+	reloadMap(){
+		setupWater();
+	},
+	update(){
+		if(waterMaterials.size){ updateWaterMaterials(); }
+	},
+	clearMap(){
+		disposeWater();
+		waterRenderList.length=0;
+	},
+	createCellMesh(mesh){
+		addWaterRenderMesh(mesh);
+	},
+	destroyCellMesh(mesh){
+		removeWaterRenderMesh(mesh);
+	},
+	createCharMesh(mesh){
+		addWaterRenderMesh(mesh);
+	},
+	destroyCharMesh(mesh){
+		removeWaterRenderMesh(mesh);
+	},
+},()=>mv3d["a" /* default */].WATER_QUALITY>0);
+
+// CONCATENATED MODULE: ./src/feature-dayNight.js
+
+
+
+
+// keyframes are filled in from the map's own sun, light and fog, so a key only lists what changes.
+function getDayNightBase(mapconf){
+	const sun = mapconf.sun||{}, fog = mapconf.fog||{};
+	return {
+		sun: 'color' in sun ? sun.color : mv3d["a" /* default */].SUN_COLOR,
+		intensity: 'intensity' in sun ? sun.intensity : mv3d["a" /* default */].SUN_INTENSITY,
+		yaw: 'yaw' in sun ? sun.yaw : mv3d["a" /* default */].SUN_YAW,
+		pitch: 'pitch' in sun ? sun.pitch : mv3d["a" /* default */].SUN_PITCH,
+		light: mapconf.light ? mapconf.light.color : mv3d["a" /* default */].AMBIENT_COLOR,
+		fog: 'color' in fog ? fog.color : mv3d["a" /* default */].FOG_COLOR,
+		near: 'near' in fog ? fog.near : mv3d["a" /* default */].FOG_NEAR,
+		far: 'far' in fog ? fog.far : mv3d["a" /* default */].FOG_FAR,
+	};
+}
+
+function lerpColor(a,b,t){
+	let color=0;
+	for (const shift of [16,8,0]){
+		const ca=a>>shift&0xff, cb=b>>shift&0xff;
+		color|=Math.round(ca+(cb-ca)*t)<<shift;
+	}
+	return color;
+}
+
+function lerpAngle(a,b,t){
+	const diff = ((b-a)%360+540)%360-180;
+	return a+diff*t;
+}
+
+function sampleDayNight(keys,hour){
+	let next = keys.findIndex(key=>key.hour>hour);
+	if(next<0){ next=0; }
+	const a = keys[(next+keys.length-1)%keys.length], b = keys[next];
+	const span = (b.hour-a.hour).mod(24)||24;
+	const t = (hour-a.hour).mod(24)/span;
+	const lerp = key=>a[key]+(b[key]-a[key])*t;
+	return {
+		sun: lerpColor(a.sun,b.sun,t),
+		intensity: lerp('intensity'),
+		yaw: lerpAngle(a.yaw,b.yaw,t),
+		pitch: lerp('pitch'),
+		light: lerpColor(a.light,b.light,t),
+		fog: lerpColor(a.fog,b.fog,t),
+		near: lerp('near'),
+		far: lerp('far'),
+	};
+}
+
+let dayNightConf=null;
+let dayNightKeys=[];
+let dayNightHour=null;
+
+Object.assign(mv3d["a" /* default */],{
+	getTimeOfDay(){
+		return this.loadData('timeOfDay',this.DAY_START);
+	},
+	setTimeOfDay(hour){
+		this.saveData('timeOfDay',Number(hour).mod(24));
+		dayNightHour=null;
+	},
+	getDayLength(){
+		return this.loadData('dayLength',this.DAY_LENGTH);
+	},
+	hasDayNight(){
+		return dayNightKeys.length>0;
+	},
+	updateDayNightKeys(){
+		if(dayNightConf===this.mapConfigurations){ return; }
+		const wasActive = this.hasDayNight();
+		dayNightConf=this.mapConfigurations;
+		const base = getDayNightBase(dayNightConf);
+		dayNightKeys=(dayNightConf.dayKeys||[]).map(key=>Object.assign({},base,key)).sort((a,b)=>a.hour-b.hour);
+		dayNightHour=null;
+		// maps without keys get their configured lighting back.
+		if(wasActive&&!this.hasDayNight()){ this.applyDayNight(base); }
+	},
+	applyDayNight(state){
+		if(this.sunlight){
+			this.setSun({color:state.sun,intensity:state.intensity,yaw:state.yaw,pitch:Math.max(0,state.pitch)});
+		}
+		this.blendAmbientColor.setValue(state.light,0);
+		this.blendFogColor.setValue(state.fog,0);
+		this.blendFogNear.setValue(state.near,0);
+		this.blendFogFar.setValue(state.far,0);
+	},
+	updateDayNight(){
+		const dayLength = this.getDayLength();
+		let hour = this.getTimeOfDay();
+		if(dayLength>0){
+			hour = (hour+24/(dayLength*60*60)).mod(24);
+			this.saveData('timeOfDay',hour);
+		}
+		if(this.TIME_VARIABLE && $gameVariables.value(this.TIME_VARIABLE)!==Math.floor(hour)){
+			$gameVariables.setValue(this.TIME_VARIABLE,Math.floor(hour));
+		}
+		this.updateDayNightKeys();
+		// a hundredth of an hour is finer than the blenders' color steps.
+		if(!this.hasDayNight()||dayNightHour!==null&&Math.abs(hour-dayNightHour)<0.01){ return; }
+		dayNightHour=hour;
+		this.applyDayNight(sampleDayNight(dayNightKeys,hour));
+	},
+});
+
+new mv3d["a" /* default */].Feature('dayNight',{
+	applyMapSettings(){
+		mv3d["a" /* default */].updateDayNightKeys();
+		if(mv3d["a" /* default */].hasDayNight()){
+			dayNightHour=null;
+			mv3d["a" /* default */].updateDayNight();
+		}
+	},
+	update(){
+		mv3d["a" /* default */].updateDayNight();
+	},
+});
+
+// CONCATENATED MODULE: ./src/feature-weather.js
+
+
+
+
+const weatherTypes={
+	rain:{ rate:40, speed:14, slant:Math.PI/16, size:0.025, length:14, color:[0.75,0.8,0.9,0.45] },
+	storm:{ rate:60, speed:20, slant:Math.PI/8, size:0.035, length:18, color:[0.75,0.8,0.9,0.55] },
+	snow:{ rate:20, speed:1.5, slant:Math.PI/16, size:0.08, length:1, color:[1,1,1,0.9], drift:0.6 },
+};
+const weatherSurfaces=new Map();
+let weatherSystem=null;
+let weatherType=null;
+
+// rain stops at the first surface it meets, which is the ceiling on tiles that have one.
+function weatherSurfaceHeight(x,y){
+	const rx=Math.round(x), ry=Math.round(y);
+	const key=rx+','+ry;
+	if(weatherSurfaces.has(key)){ return weatherSurfaces.get(key); }
+	let height = mv3d["a" /* default */].getWalkHeight(rx,ry);
+	const tileData = mv3d["a" /* default */].getTileData(rx,ry);
+	const zeroConf = mv3d["a" /* default */].getTileTextureOffsets(tileData[0],rx,ry,0);
+	const ceiling = zeroConf.ceiling_changed ? mv3d["a" /* default */].getCeilingConfig(zeroConf) : mv3d["a" /* default */].getCeilingConfig();
+	if(!mv3d["a" /* default */].isTileEmpty(ceiling.bottom_id) && ceiling.height>height){
+		height=ceiling.height;
+	}
+	weatherSurfaces.set(key,height);
+	return height;
+}
+
+function makeWeatherTexture(name,width,height,draw){
+	const texture = new babylon["DynamicTexture"](name,{width,height},mv3d["a" /* default */].scene,false);
+	draw(texture.getContext(),width,height);
+	texture.hasAlpha=true;
+	texture.update();
+	return texture;
+}
+
+function getWeatherTexture(type){
+	if(type==='snow'){
+		return makeWeatherTexture('weather snow',16,16,(ctx,w,h)=>{
+			const gradient = ctx.createRadialGradient(w/2,h/2,0,w/2,h/2,w/2);
+			gradient.addColorStop(0,'rgba(255,255,255,1)');
+			gradient.addColorStop(1,'rgba(255,255,255,0)');
+			ctx.fillStyle=gradient;
+			ctx.fillRect(0,0,w,h);
+		});
+	}
+	return makeWeatherTexture('weather rain',4,64,(ctx,w,h)=>{
+		const gradient = ctx.createLinearGradient(0,0,0,h);
+		gradient.addColorStop(0,'rgba(255,255,255,0)');
+		gradient.addColorStop(1,'rgba(255,255,255,1)');
+		ctx.fillStyle=gradient;
+		ctx.fillRect(0,0,w,h);
+	});
+}
+
+function setupWeatherSystem(type){
+	if(weatherSystem){ weatherSystem.dispose(); }
+	weatherType=type;
+	const settings = weatherTypes[type];
+	const system = weatherSystem = new babylon["ParticleSystem"]('weather',mv3d["a" /* default */].WEATHER_CAPACITY,mv3d["a" /* default */].scene);
+	system.particleTexture=getWeatherTexture(type);
+	system.emitter=new babylon["Vector3"]();
+	system.renderingGroupId=mv3d["a" /* default */].enumRenderGroups.MAIN;
+	system.blendMode=babylon["ParticleSystem"].BLENDMODE_STANDARD;
+	// ages and speeds are counted in seconds.
+	system.updateSpeed=1/60;
+	system.minEmitPower=system.maxEmitPower=1;
+	system.minSize=system.maxSize=settings.size;
+	system.minScaleY=settings.length*0.8;
+	system.maxScaleY=settings.length;
+	system.color1=new babylon["Color4"](...settings.color);
+	system.color2=system.color1.clone();
+	system.colorDead=system.color1.clone();
+	if(type!=='snow'){ system.billboardMode=babylon["ParticleSystem"].BILLBOARDMODE_STRETCHED; }
+	system.startPositionFunction=(worldMatrix,position)=>{
+		const stick = mv3d["a" /* default */].cameraStick.absolutePosition;
+		const radius = mv3d["a" /* default */].WEATHER_RADIUS;
+		position.set(
+			stick.x+(Math.random()*2-1)*radius,
+			stick.y+mv3d["a" /* default */].WEATHER_HEIGHT*(0.5+Math.random()*0.5),
+			stick.z+(Math.random()*2-1)*radius,
+		);
+	};
+	system.startDirectionFunction=(worldMatrix,direction,particle)=>{
+		const yaw = Object(util["degtorad"])(mv3d["a" /* default */].blendCameraYaw.currentValue());
+		let dx = -Math.sin(settings.slant)*settings.speed, dz = 0;
+		if(settings.drift){
+			dx += (Math.random()*2-1)*settings.drift;
+			dz += (Math.random()*2-1)*settings.drift;
+		}
+		// slant the way the 2d weather does, relative to the camera.
+		direction.set(dx*Math.cos(yaw)-dz*Math.sin(yaw),-settings.speed,dx*Math.sin(yaw)+dz*Math.cos(yaw));
+		const {x,y,z} = particle.position;
+		let time = (y-weatherSurfaceHeight(x,-z))/settings.speed;
+		time = (y-weatherSurfaceHeight(x+direction.x*time,-(z+direction.z*time)))/settings.speed;
+		particle.lifeTime=Math.max(0,time);
+	};
+	system.start();
+}
+
+Object.assign(mv3d["a" /* default */],{
+	updateWeather(){
+		const type = $gameScreen.weatherType();
+		const power = $gameScreen.weatherPower();
+		if(!(type in weatherTypes)||power<=0){
+			if(weatherSystem){ weatherSystem.emitRate=0; }
+			return;
+		}
+		if(type!==weatherType){ setupWeatherSystem(type); }
+		weatherSystem.emitRate=power*weatherTypes[type].rate;
+	},
+	clearWeatherSurfaces(){
+		weatherSurfaces.clear();
+	},
+});
+
+new mv3d["a" /* default */].Feature('weather',{
+	update(){
+		mv3d["a" /* default */].updateWeather();
+	},
+	clearMap(){
+		mv3d["a" /* default */].clearWeatherSurfaces();
+		if(weatherSystem){ weatherSystem.reset(); }
+	},
+	reloadMap(){
+		mv3d["a" /* default */].clearWeatherSurfaces();
+	},
+},()=>mv3d["a" /* default */].WEATHER_3D);
+
+// the 3d particles replace the flat weather sprites; the dimmer stays.
+const _updateWeather = Spriteset_Map.prototype.updateWeather;
+Spriteset_Map.prototype.updateWeather = function() {
+	_updateWeather.apply(this,arguments);
+	const hidden = !mv3d["a" /* default */].mapDisabled && mv3d["a" /* default */].featureEnabled('weather');
+	for (const sprite of this._weather._sprites){
+		sprite.visible=!hidden;
+	}
+};
+
+// CONCATENATED MODULE: ./src/feature-cameraPaths.js
+
+
+
+
+const cameraPathEasings={
+	linear: t=>t,
+	in: t=>t*t*t,
+	out: t=>1-Math.pow(1-t,3),
+	inout: t=>t<0.5 ? 4*t*t*t : 1-Math.pow(-2*t+2,3)/2,
+};
+cameraPathEasings.smooth=cameraPathEasings.inout;
+
+let cameraPath=null;
+
+function cameraPathPoint(point){
+	if(point.char){
+		const char = mv3d["a" /* default */].targetChar(point.char);
+		if(!char){ return null; }
+		const z = char.mv3d_sprite ? char.mv3d_sprite.z : mv3d["a" /* default */].getWalkHeight(char._realX,char._realY);
+		return new babylon["Vector3"](char._realX,char._realY,z+point.z);
+	}
+	const z = point.z!=null ? point.z : mv3d["a" /* default */].getWalkHeight(point.x,point.y)+(point.height||0);
+	return new babylon["Vector3"](point.x,point.y,z);
+}
+
+// keys only list what changes; everything else carries over from the key before.
+function buildCameraPath(keys){
+	let last = { position:null, target:null, roll:0, fov:mv3d["a" /* default */].FOV, ease:'linear' };
+	return keys.slice().sort((a,b)=>a.time-b.time).map(key=>{
+		last = Object.assign({},last,key);
+		if(!last.target){ last.target=last.position; }
+		if(!last.position){ last.position=last.target; }
+		return last;
+	}).filter(key=>key.position);
+}
+
+function sampleCameraPath(keys,time){
+	let i = keys.findIndex(key=>key.time>time)-1;
+	if(i<0){ i = time<keys[0].time ? 0 : keys.length-1; }
+	const a=keys[i], b=keys[Math.min(i+1,keys.length-1)];
+	const span = b.time-a.time;
+	const ease = cameraPathEasings[a.ease]||cameraPathEasings.linear;
+	const t = span>0 ? ease(Math.max(0,Math.min(1,(time-a.time)/span))) : 0;
+	const prev=keys[Math.max(i-1,0)], next=keys[Math.min(i+2,keys.length-1)];
+	const spline = name=>babylon["Vector3"].CatmullRom(prev[name],a[name],b[name],next[name],t);
+	return {
+		position: spline('position'),
+		target: spline('target'),
+		roll: a.roll+(b.roll-a.roll)*t,
+		fov: a.fov+(b.fov-a.fov)*t,
+	};
+}
+
+Object.assign(mv3d["a" /* default */],{
+	cameraPaths:{},
+	defineCameraPath(name,keys){
+		this.cameraPaths[String(name).toLowerCase()]=keys;
+	},
+	getCameraPath(name){
+		name=String(name).toLowerCase();
+		const mapPaths = this.mapConfigurations&&this.mapConfigurations.cameraPaths||{};
+		return mapPaths[name]||this.cameraPaths[name]||null;
+	},
+	isCameraPathPlaying(){
+		return Boolean(cameraPath);
+	},
+	playCameraPath(name,opts={}){
+		const path = this.getCameraPath(name);
+		if(!path){ console.warn(`MV3D: Camera path "${name}" doesn't exist.`); return false; }
+		const keys = buildCameraPath(path.map(key=>Object.assign({},key,{
+			position: key.position&&cameraPathPoint(key.position),
+			target: key.target&&cameraPathPoint(key.target),
+		})));
+		if(!keys.length){ return false; }
+		if(cameraPath){ this.stopCameraPath(0); }
+		if(!this.loadData('cameraPathRestore')){
+			this.saveData('cameraPathRestore',{
+				yaw:this.blendCameraYaw.targetValue(),
+				pitch:this.blendCameraPitch.targetValue(),
+				roll:this.blendCameraRoll.targetValue(),
+				dist:this.blendCameraDist.targetValue(),
+				panX:this.blendPanX.targetValue(),
+				panY:this.blendPanY.targetValue(),
+			});
+		}
+		cameraPath={
+			keys,
+			time:0,
+			duration:keys[keys.length-1].time,
+			speed:opts.speed||1,
+			skippable:Boolean(opts.skip),
+			returnTime:opts.returnTime!=null?opts.returnTime:1,
+			state:sampleCameraPath(keys,0),
+		};
+		this.updateBlenders(true);
+		return true;
+	},
+	stopCameraPath(returnTime=cameraPath?cameraPath.returnTime:0){
+		const restore = this.loadData('cameraPathRestore');
+		const state = cameraPath&&cameraPath.state;
+		cameraPath=null;
+		this.clearData('cameraPathRestore');
+		if(!restore){ return; }
+		const char = this.getCameraTarget();
+		if(state&&char&&returnTime>0){
+			// pan from where the path left off back onto the followed character.
+			this.blendPanX.setValue(state.target.x-char._realX,0);
+			this.blendPanY.setValue(state.target.y-char._realY,0);
+		}
+		this.blendCameraYaw.setValue(restore.yaw,returnTime);
+		this.blendCameraPitch.setValue(restore.pitch,returnTime);
+		this.blendCameraRoll.setValue(restore.roll,returnTime);
+		this.blendCameraDist.setValue(restore.dist,returnTime);
+		this.blendPanX.setValue(restore.panX,returnTime);
+		this.blendPanY.setValue(restore.panY,returnTime);
+		this.updateBlenders(true);
+	},
+	updateCameraPath(){
+		if(!cameraPath){
+			// a save made during a path still holds the camera it replaced.
+			if(this.loadData('cameraPathRestore')){ this.stopCameraPath(0); }
+			return;
+		}
+		if(cameraPath.skippable&&(Input.isTriggered('ok')||Input.isTriggered('cancel')||TouchInput.isTriggered())){
+			cameraPath.time=cameraPath.duration;
+		}else{
+			cameraPath.time+=cameraPath.speed/60;
+		}
+		cameraPath.state=sampleCameraPath(cameraPath.keys,Math.min(cameraPath.time,cameraPath.duration));
+		if(cameraPath.time>=cameraPath.duration){ this.stopCameraPath(); }
+	},
+	getCameraPathAngles(state){
+		const {position:p,target:t} = state;
+		const dx=t.x-p.x, dy=t.y-p.y, dz=t.z-p.z;
+		const horizontal = Math.sqrt(dx*dx+dy*dy);
+		return {
+			yaw: horizontal>0.0001 ? Object(util["radtodeg"])(Math.atan2(-dy,dx))-90 : this.blendCameraYaw.currentValue(),
+			pitch: Object(util["radtodeg"])(Math.atan2(dz,horizontal)),
+			dist: Math.sqrt(horizontal*horizontal+dz*dz),
+		};
+	},
+});
+
+// the blenders follow the path so that sprites and movement stay lined up with the camera,
+// then the camera itself is placed exactly, without height, collision or zoom.
+Object(util["override"])(mv3d["a" /* default */],'updateBlenders',o=>function updateBlenders(reorient){
+	if(!cameraPath){ return o.apply(this,arguments); }
+	const state = cameraPath.state;
+	const {yaw,pitch,dist} = this.getCameraPathAngles(state);
+	this.blendCameraYaw.setValue(yaw,0);
+	this.blendCameraPitch.setValue(pitch+90,0);
+	this.blendCameraRoll.setValue(state.roll,0);
+	this.blendCameraDist.setValue(dist,0);
+	const cameraTrack = this.cameraTrack;
+	this.cameraTrack=null;
+	o.apply(this,arguments);
+	this.cameraTrack=cameraTrack;
+	this.cameraStick.x=state.target.x;
+	this.cameraStick.y=state.target.y;
+	this.cameraStick.z=state.target.z;
+	this.cameraNode.pitch=pitch;
+	this.cameraNode.yaw=yaw;
+	this.cameraNode.roll=state.roll;
+	this.cameraNode.position.set(0,0,0);
+	this.cameraNode.translate(util["ZAxis"],-dist,mod_babylon["e" /* LOCALSPACE */]);
+	if(this.camera.mode!==mod_babylon["f" /* ORTHOGRAPHIC_CAMERA */]){
+		this.camera.fov=Object(util["degtorad"])(state.fov);
+	}
+});
+
+Object(util["override"])(mv3d["a" /* default */],'updateInputCamera',o=>function updateInputCamera(){
+	if(cameraPath){ return; }
+	o.apply(this,arguments);
+});
+
+Object(util["override"])(Game_Interpreter.prototype,'updateWaitMode',o=>function updateWaitMode(){
+	if(this._waitMode!=='mv3dCameraPath'){ return o.apply(this,arguments); }
+	if(mv3d["a" /* default */].isCameraPathPlaying()){ return true; }
+	this._waitMode='';
+	return false;
+});
+
+new mv3d["a" /* default */].Feature('cameraPaths',{
+	update(){
+		mv3d["a" /* default */].updateCameraPath();
+	},
+	clearMap(){
+		if(cameraPath){ mv3d["a" /* default */].stopCameraPath(0); }
+	},
+});
+
+// CONCATENATED MODULE: ./src/feature-reticle.js
+
+
+
+
+const reticle_raycastPredicate=mesh=>{
+	if(!mesh.isEnabled() || !mesh.isVisible || !mesh.isPickable){ return false; }
+	if(mesh.character && (mesh.character.isPlayer||mesh.character.isFollower)){ return false; }
+	return true;
+}
+
+const lookConditions=new WeakMap();
+let lookConditionsUsed=false;
+
+// whether a page only shows while the player is (or isn't) looking at its event. null when the page doesn't care.
+function getPageLookCondition(page){
+	if(lookConditions.has(page)){ return lookConditions.get(page); }
+	let comments = '';
+	for (const command of page.list){
+		if(command.code===108||command.code===408){
+			comments+=command.parameters[0];
+		}
+	}
+	const conf={};
+	mv3d["a" /* default */].readConfigurationFunctions(
+		mv3d["a" /* default */].readConfigurationTags(comments),
+		mv3d["a" /* default */].eventConfigurationFunctions,
+		conf,
+	);
+	const condition = 'lookat' in conf ? conf.lookat : null;
+	if(condition!==null){ lookConditionsUsed=true; }
+	lookConditions.set(page,condition);
+	return condition;
+}
+
+function makeReticleBitmap(){
+	const bitmap = new Bitmap(16,16);
+	const ctx = bitmap.context;
+	ctx.strokeStyle='rgba(0,0,0,0.5)';
+	ctx.lineWidth=4;
+	ctx.beginPath(); ctx.arc(8,8,5,0,Math.PI*2); ctx.stroke();
+	ctx.strokeStyle='white';
+	ctx.lineWidth=2;
+	ctx.beginPath(); ctx.arc(8,8,5,0,Math.PI*2); ctx.stroke();
+	bitmap.baseTexture.update();
+	return bitmap;
+}
+
+Object.assign(mv3d["a" /* default */],{
+	lookedEvent:null,
+	useReticle(){
+		return this.RETICLE && !this.isDisabled() && this.is1stPerson(true);
+	},
+	isInteractableEvent(event){
+		if(!event || !event.page() || event.isErased()){ return false; }
+		return event.isTriggerIn([0,1,2]) && event.list().length>1;
+	},
+	isLookingAt(event){
+		return Boolean(event) && this.lookedEvent===event;
+	},
+	pickLookedEvent(){
+		if(!this.useReticle()){
+			// outside first person, the player is looking at whatever they face.
+			const x = $gameMap.roundXWithDirection($gamePlayer.x,$gamePlayer.direction());
+			const y = $gameMap.roundYWithDirection($gamePlayer.y,$gamePlayer.direction());
+			return $gameMap.eventsXy(x,y)[0]||null;
+		}
+		const ray = this.camera.getForwardRay(this.RETICLE_RANGE,undefined,this.camera.globalPosition);
+		const intersection = this.scene.pickWithRay(ray,reticle_raycastPredicate);
+		if(!intersection.hit){ return null; }
+		const character = intersection.pickedMesh.character;
+		return character && character.char instanceof Game_Event ? character.char : null;
+	},
+	setLookedEvent(event){
+		if(this.lookedEvent===event){ return; }
+		for (const char of [this.lookedEvent,event]){
+			if(char&&char.mv3d_sprite){ char.mv3d_sprite.needsMaterialUpdate=true; }
+		}
+		this.lookedEvent=event;
+		if(lookConditionsUsed){ $gameMap.requestRefresh(); }
+	},
+	updateReticle(){
+		this.setLookedEvent(this.pickLookedEvent());
+	},
+});
+
+Object(util["override"])(mv3d["a" /* default */],'getHoverHighlight',o=>function getHoverHighlight(char){
+	if(char===this.lookedEvent && this.useReticle() && this.isInteractableEvent(char)){ return this.HOVER_HIGHLIGHT; }
+	return o.apply(this,arguments);
+});
+
+Object(util["override"])(Game_Event.prototype,'meetsConditions',o=>function meetsConditions(page){
+	if(!o.apply(this,arguments)){ return false; }
+	const condition = getPageLookCondition(page);
+	if(condition===null){ return true; }
+	return condition===mv3d["a" /* default */].isLookingAt(this);
+},true);
+
+Object(util["override"])(Game_Player.prototype,'triggerButtonAction',o=>function triggerButtonAction(){
+	const event = mv3d["a" /* default */].lookedEvent;
+	if(Input.isTriggered('ok') && mv3d["a" /* default */].useReticle() && mv3d["a" /* default */].isInteractableEvent(event)){
+		if(this.canStartLocalEvents()){ event.start(); }
+		return $gameMap.setupStartingEvent();
+	}
+	return o.apply(this,arguments);
+});
+
+Object(util["override"])(Spriteset_Map.prototype,'createUpperLayer',o=>function createUpperLayer(){
+	this.mv3d_reticle = new Sprite(makeReticleBitmap());
+	this.mv3d_reticle.anchor.set(0.5,0.5);
+	this.mv3d_reticle.visible=false;
+	this.addChild(this.mv3d_reticle);
+	o.apply(this,arguments);
+},true);
+
+Object(util["override"])(Spriteset_Map.prototype,'update',o=>function update(){
+	o.apply(this,arguments);
+	const reticle = this.mv3d_reticle;
+	if(!reticle){ return; }
+	reticle.visible = mv3d["a" /* default */].useReticle() && !$gameMap.isEventRunning();
+	reticle.move(Graphics.width/2,Graphics.height/2);
+	const active = mv3d["a" /* default */].isInteractableEvent(mv3d["a" /* default */].lookedEvent);
+	reticle.scale.set(active?1.5:1,active?1.5:1);
+	reticle.opacity = active ? 255 : 160;
+},true);
+
+new mv3d["a" /* default */].Feature('reticle',{
+	update(){
+		mv3d["a" /* default */].updateReticle();
+	},
+	clearMap(){
+		mv3d["a" /* default */].lookedEvent=null;
+	},
+});
+
+// CONCATENATED MODULE: ./src/feature-freeMove.js
+
+
+
+
+Object.assign(mv3d["a" /* default */],{
+	getFreeMoveMode(){
+		return this.loadData('freeMove',this.FREE_MOVE);
+	},
+	useFreeMove(){
+		if(this.isDisabled()){ return false; }
+		switch(this.getFreeMoveMode()){
+			case 2: return true;
+			case 1: return this.is1stPerson();
+		}
+		return false;
+	},
+	// analog stick first, then the direction keys, turned by the camera's yaw.
+	// the vector is a unit direction; the stick's tilt already scales distancePerFrame.
+	getFreeMoveVector(){
+		let x = Input.axis('leftX'), y = Input.axis('leftY');
+		if(x||y){
+			if(!this.KEYBOARD_STRAFE && this.is1stPerson()){ x=0; }
+		}else{
+			const dir = Input.dir8;
+			if(!dir){ return null; }
+			x = (dir%3===0) - (dir%3===1);
+			y = (dir<=3) - (dir>=7);
+		}
+		const length = Math.hypot(x,y);
+		if(!length){ return null; }
+		x/=length; y/=length;
+		const yaw = Object(util["degtorad"])(this.blendCameraYaw.currentValue());
+		return {
+			x: Object(util["cos"])(yaw)*x + Object(util["sin"])(yaw)*y,
+			y: -Object(util["sin"])(yaw)*x + Object(util["cos"])(yaw)*y,
+		};
+	},
+});
+
+Game_Player.prototype.mv3d_isFreeMoving=function(){
+	return mv3d["a" /* default */].useFreeMove() && !this.isInVehicle() && !this.isMoveRouteForcing()
+	&& !this.isJumping() && !$gameTemp.isDestinationValid();
+};
+
+// crossing into another tile uses the same rules as a grid step, so ramps, stairs and ledges behave the same.
+Game_Player.prototype.mv3d_canFreeCross=function(x1,y1,x2,y2){
+	const dx=Math.sign(x2-x1), dy=Math.sign(y2-y1);
+	const h = dx>0?6:dx<0?4:0, v = dy>0?2:dy<0?8:0;
+	if(!v){ return this.isMapPassable(x1,y1,h); }
+	if(!h){ return this.isMapPassable(x1,y1,v); }
+	return this.isMapPassable(x1,y1,h) && this.isMapPassable(x1,y1,v)
+	&& this.isMapPassable(x1+dx,y1,v) && this.isMapPassable(x1,y1+dy,h);
+};
+
+Game_Player.prototype.mv3d_canFreeMoveTo=function(x,y,fromX,fromY){
+	if(this.isThrough()||this.isDebugThrough()){ return true; }
+	const r = mv3d["a" /* default */].FREE_MOVE_RADIUS;
+	const d = r*Math.SQRT1_2;
+	const tx=Math.round(fromX), ty=Math.round(fromY);
+	for (const [ox,oy] of [[0,0],[r,0],[-r,0],[0,r],[0,-r],[d,d],[d,-d],[-d,d],[-d,-d]]){
+		const sx=Math.round(x+ox), sy=Math.round(y+oy);
+		if(sx===tx&&sy===ty){ continue; }
+		if(!this.mv3d_canFreeCross(tx,ty,sx,sy)){ return false; }
+	}
+	// characters are cylinders; only block moving further into one, so overlapping never traps the player.
+	const chars = $gameMap.events().filter(event=>event.isNormalPriority()&&!event.isThrough());
+	for (const vehicle of $gameMap.vehicles()){
+		if(vehicle._mapId===$gameMap.mapId()&&!vehicle.isThrough()){ chars.push(vehicle); }
+	}
+	for (const char of chars){
+		if(!char.mv3d_sprite){ continue; }
+		const dist = Math.hypot(char._realX-x,char._realY-y);
+		if(dist>=r*2 || dist>=Math.hypot(char._realX-fromX,char._realY-fromY)){ continue; }
+		if(mv3d["a" /* default */].charCollision(this,char,char._mv3d_isPlatform(),true)){ return false; }
+	}
+	return true;
+};
+
+Game_Player.prototype.mv3d_freeMove=function(vx,vy){
+	const x=this._realX, y=this._realY;
+	let nx=x+vx, ny=y;
+	if(!vx||!this.mv3d_canFreeMoveTo(nx,ny,x,y)){ nx=x; }
+	ny=y+vy;
+	if(!vy||!this.mv3d_canFreeMoveTo(nx,ny,nx,y)){ ny=y; }
+	if(mv3d["a" /* default */].is1stPerson()){
+		mv3d["a" /* default */].playerFaceYaw();
+	}else{
+		this.mv3d_setDirection(mv3d["a" /* default */].yawToDir(Object(util["pointtodeg"])(vx,vy),mv3d["a" /* default */].DIR8MOVE));
+	}
+	if(nx===x&&ny===y){ return false; }
+	this._realX=nx; this._realY=ny;
+	this._mv3d_freeMoved=true;
+	this.resetStopCount();
+	const tx=Math.round(nx), ty=Math.round(ny);
+	if(tx!==this._x||ty!==this._y){
+		this._followers.updateMove();
+		this._x=tx; this._y=ty;
+		this.mv3d_onFreeStep();
+	}
+	return true;
+};
+
+// what a finished grid step would do: steps, bushes, touch events and encounters.
+Game_Player.prototype.mv3d_onFreeStep=function(){
+	this.increaseSteps();
+	this.refreshBushDepth();
+	$gameParty.onPlayerWalk();
+	this.checkEventTriggerHere([1,2]);
+	if($gameMap.setupStartingEvent()){ return; }
+	this.updateEncounterCount();
+};
+
+Object(util["override"])(Game_Player.prototype,'moveByInput',o=>function moveByInput(){
+	if(!this.mv3d_isFreeMoving()){ return o.apply(this,arguments); }
+	this._mv3d_freeMoved=false;
+	if(!this.canMove()){ return; }
+	const vector = mv3d["a" /* default */].getFreeMoveVector();
+	if(!vector){ return; }
+	const speed = this.distancePerFrame();
+	this.mv3d_freeMove(vector.x*speed,vector.y*speed);
+});
+
+// off-center positions would otherwise count as a move in progress and glide back to the tile.
+Object(util["override"])(Game_Player.prototype,'isMoving',o=>function isMoving(){
+	if(this.mv3d_isFreeMoving()){ return false; }
+	return o.apply(this,arguments);
+});
+
+Object(util["override"])(Game_Player.prototype,'isStopping',o=>function isStopping(){
+	if(this.mv3d_isFreeMoving()){ return !this._mv3d_freeMoved; }
+	return o.apply(this,arguments);
+});
+
+Object(util["override"])(Game_Player.prototype,'updateAnimationCount',o=>function updateAnimationCount(){
+	if(this.mv3d_isFreeMoving() && this._mv3d_freeMoved && this.hasWalkAnime()){
+		this._animationCount+=1.5;
+		return;
+	}
+	o.apply(this,arguments);
+});
+
+// CONCATENATED MODULE: ./src/feature-tileEditor.js
+
+
+
+
+
+const tileEditor={
+	element:null,
+	fields:null,
+	tileId:0,
+	x:0, y:0, l:0,
+	applyTimeout:null,
+};
+
+Object.assign(mv3d["a" /* default */],{
+	tileEditorOpen(){
+		return Boolean(tileEditor.element);
+	},
+	openTileEditor(){
+		if(this.tileEditorOpen()||!this.featureEnabled('tileEditor')){ return; }
+		createTileEditorElement();
+		if(tileEditor.tileId){ this.selectEditorTile(tileEditor.x,tileEditor.y,tileEditor.l); }
+		else{ this.refreshTileEditor(); }
+	},
+	closeTileEditor(){
+		if(!this.tileEditorOpen()){ return; }
+		clearTimeout(tileEditor.applyTimeout);
+		document.body.removeChild(tileEditor.element);
+		tileEditor.element=null;
+		tileEditor.fields=null;
+	},
+	toggleTileEditor(){
+		if(this.tileEditorOpen()){ this.closeTileEditor(); }
+		else{ this.openTileEditor(); }
+	},
+	selectEditorTile(x,y,l=null){
+		const tileData = this.getTileData(x,y);
+		if(l==null){
+			// default to the topmost tile, which is usually the one that was clicked.
+			for(l=3; l>0&&this.isTileEmpty(tileData[l]); --l);
+		}
+		Object.assign(tileEditor,{x,y,l,tileId:this.normalizeAutotileId(tileData[l])});
+		if(this.tileEditorOpen()){
+			tileEditor.fields.source.value=this.isTileEmpty(tileEditor.tileId)?'':this.getTileConfigSource(tileEditor.tileId);
+			this.refreshTileEditor();
+		}
+	},
+	pickEditorTile(){
+		const intersection = this.scene.pick(TouchInput.x*this.RES_SCALE,TouchInput.y*this.RES_SCALE,tileEditor_raycastPredicate);
+		if(!intersection.hit){ return; }
+		// step slightly into the surface, so clicks on walls land on the tile the wall belongs to.
+		const point = intersection.pickedPoint.subtract(intersection.getNormal(true).scale(0.01));
+		let x=Math.round(point.x), y=Math.round(-point.z);
+		if(this.loopHorizontal()){ x=x.mod(this.mapWidth()); }
+		if(this.loopVertical()){ y=y.mod(this.mapHeight()); }
+		if(!$gameMap.isValid(x,y)){ return; }
+		this.selectEditorTile(x,y);
+	},
+	// resolves once the cells using the tile are rebuilt; rejects on invalid source or a failed rebuild.
+	async editTileConfig(tileId,source){
+		const tilesetId = $gameMap.tilesetId();
+		if(!(tilesetId in this.tilesetConfigurationEdits)){
+			this.tilesetConfigurationEdits[tilesetId]={};
+		}
+		this.setTileConfigSource(tileId,source);
+		this.tilesetConfigurationEdits[tilesetId][tileId]=source;
+		await this.rebuildCellsWithTile(tileId);
+	},
+	async revertTileConfig(tileId){
+		const edits = this.tilesetConfigurationEdits[$gameMap.tilesetId()];
+		if(!edits||!(tileId in edits)){ return; }
+		delete edits[tileId];
+		this.loadTilesetSettings();
+		await this.rebuildCellsWithTile(tileId);
+	},
+	async rebuildCellsWithTile(tileId){
+		for(const key in this.cells){
+			const cell = this.cells[key];
+			if(cellHasTile(cell,tileId)){
+				await this.rebuildMapCell(cell.cx,cell.cy);
+			}
+		}
+	},
+	exportTileConfigs(){
+		const edits = this.tilesetConfigurationEdits[$gameMap.tilesetId()];
+		const lines = Object.keys(edits||{}).map(tileId=>
+			`${this.deconstructTileId(Number(tileId)).join(',')}: ${edits[tileId]}`
+		);
+		return `<mv3d>\n${lines.join('\n')}\n</mv3d>`;
+	},
+	refreshTileEditor(){
+		if(!this.tileEditorOpen()){ return; }
+		const {fields,tileId,x,y,l} = tileEditor;
+		if(this.isTileEmpty(tileId)){
+			fields.info.textContent='Click a tile in the map to edit its configuration.';
+			fields.source.value='';
+			fields.merged.textContent='';
+			return;
+		}
+		const edited = tileId in (this.tilesetConfigurationEdits[$gameMap.tilesetId()]||{});
+		fields.info.textContent=`(${x},${y}) layer ${l}, tile ${this.deconstructTileId(tileId).join(',')}${edited?' (edited)':''}`;
+		fields.merged.textContent=JSON.stringify(this.getTileConfig(x,y,l),null,1);
+	},
+});
+
+const tileEditor_raycastPredicate=mesh=>mesh.isEnabled() && mesh.isVisible && mesh.isPickable && !mesh.character;
+
+function cellHasTile(cell,tileId){
+	const width = Math.min(mv3d["a" /* default */].CELL_SIZE,mv3d["a" /* default */].mapWidth()-cell.ox);
+	const height = Math.min(mv3d["a" /* default */].CELL_SIZE,mv3d["a" /* default */].mapHeight()-cell.oy);
+	for (let y=0; y<height; ++y)
+	for (let x=0; x<width; ++x){
+		const tileData = mv3d["a" /* default */].getTileData(cell.ox+x,cell.oy+y);
+		for (let l=0; l<=3; ++l){
+			if(mv3d["a" /* default */].normalizeAutotileId(tileData[l])===tileId){ return true; }
+		}
+	}
+	return false;
+}
+
+function createTileEditorElement(){
+	const element = document.createElement('div');
+	element.id='mv3dTileEditor';
+	element.style.cssText='position:absolute;left:8px;top:8px;z-index:10;width:360px;padding:8px;'
+	+'background:rgba(0,0,0,0.8);color:white;font:12px monospace;';
+	element.innerHTML=`
+		<div data-field="info"></div>
+		<div>Layer: ${[0,1,2,3].map(l=>`<button data-layer="${l}">${l}</button>`).join('')}</div>
+		<textarea data-field="source" rows="4" style="width:100%;box-sizing:border-box;"></textarea>
+		<div data-field="error" style="color:#f88;"></div>
+		<button data-action="revert">Revert</button>
+		<button data-action="export">Export</button>
+		<button data-action="close">Close</button>
+		<pre data-field="merged" style="max-height:240px;overflow:auto;"></pre>
+		<textarea data-field="export" rows="4" readonly style="width:100%;box-sizing:border-box;display:none;"></textarea>
+	`;
+	const fields={};
+	for(const field of element.querySelectorAll('[data-field]')){
+		fields[field.dataset.field]=field;
+	}
+	// keep typing and clicking in the editor from reaching the game's input handlers.
+	for(const type of ['keydown','keyup','mousedown','mouseup','mousemove','wheel','touchstart','touchmove','touchend']){
+		element.addEventListener(type,event=>event.stopPropagation());
+	}
+	fields.source.addEventListener('input',()=>{
+		clearTimeout(tileEditor.applyTimeout);
+		tileEditor.applyTimeout=setTimeout(applyEditorSource,300);
+	});
+	element.addEventListener('click',event=>{
+		const {layer,action} = event.target.dataset;
+		if(layer!=null){
+			mv3d["a" /* default */].selectEditorTile(tileEditor.x,tileEditor.y,Number(layer));
+		}else if(action==='revert'){
+			mv3d["a" /* default */].revertTileConfig(tileEditor.tileId).then(()=>{
+				fields.error.textContent='';
+			},error=>{
+				fields.error.textContent=String(error);
+			});
+			mv3d["a" /* default */].selectEditorTile(tileEditor.x,tileEditor.y,tileEditor.l);
+		}else if(action==='export'){
+			const text = mv3d["a" /* default */].exportTileConfigs();
+			fields.export.value=text;
+			fields.export.style.display='';
+			fields.export.select();
+			if(navigator.clipboard){ navigator.clipboard.writeText(text).catch(()=>{}); }
+		}else if(action==='close'){
+			mv3d["a" /* default */].closeTileEditor();
+		}
+	});
+	tileEditor.element=element;
+	tileEditor.fields=fields;
+	document.body.appendChild(element);
+}
+
+async function applyEditorSource(){
+	if(!mv3d["a" /* default */].tileEditorOpen()||mv3d["a" /* default */].isTileEmpty(tileEditor.tileId)){ return; }
+	const {fields} = tileEditor;
+	try{
+		await mv3d["a" /* default */].editTileConfig(tileEditor.tileId,fields.source.value.replace(/\s*\n\s*/g,','));
+		fields.error.textContent='';
+	}catch(error){
+		fields.error.textContent=String(error);
+	}
+	mv3d["a" /* default */].refreshTileEditor();
+}
+
+Object(util["override"])(Scene_Map.prototype,'processMapTouch',o=>function(){
+	if(TouchInput.isTriggered()){ mv3d["a" /* default */].pickEditorTile(); }
+},()=>!mv3d["a" /* default */].isDisabled() && mv3d["a" /* default */].tileEditorOpen());
+
+// the debug screen gets an extra row after the switch and variable ranges.
+Window_DebugRange.prototype.isTileEditorIndex=function(index){
+	return mv3d["a" /* default */].featureEnabled('tileEditor') && index===this._maxSwitches+this._maxVariables;
+};
+
+Object(util["override"])(Window_DebugRange.prototype,'maxItems',o=>function(){
+	return o.apply(this,arguments)+1;
+},()=>mv3d["a" /* default */].featureEnabled('tileEditor'));
+
+Object(util["override"])(Window_DebugRange.prototype,'drawItem',o=>function(index){
+	if(!this.isTileEditorIndex(index)){ return o.apply(this,arguments); }
+	const rect = this.itemLineRect(index);
+	this.drawText('3D Tile Config',rect.x,rect.y,rect.width);
+},()=>mv3d["a" /* default */].featureEnabled('tileEditor'));
+
+Object(util["override"])(Window_DebugRange.prototype,'update',o=>function(){
+	if(!this.isTileEditorIndex(this.index())){ return o.apply(this,arguments); }
+	Window_Selectable.prototype.update.call(this);
+},()=>mv3d["a" /* default */].featureEnabled('tileEditor'));
+
+Object(util["override"])(Scene_Debug.prototype,'onRangeOk',o=>function(){
+	if(!this._rangeWindow.isTileEditorIndex(this._rangeWindow.index())){ return o.apply(this,arguments); }
+	mv3d["a" /* default */].openTileEditor();
+	this.popScene();
+},()=>mv3d["a" /* default */].featureEnabled('tileEditor'));
+
+new mv3d["a" /* default */].Feature('tileEditor',{
+	setup(){
+		document.addEventListener('keydown',event=>{
+			// F10
+			if(event.keyCode!==121||event.repeat){ return; }
+			event.preventDefault();
+			mv3d["a" /* default */].toggleTileEditor();
+		});
+	},
+	clearMap(){
+		tileEditor.tileId=0;
+		mv3d["a" /* default */].refreshTileEditor();
+	},
+},()=>Utils.isOptionValid('test'));
+
+// CONCATENATED MODULE: ./src/index.js
+
 
 
 
@@ -8901,7 +11052,7 @@ var plugin_support = __webpack_require__(6);
 
 
 //features
-//import './feature-dynamicShadows.js';
+
 
 /***/ })
 /******/ ]);
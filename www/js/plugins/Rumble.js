@@ -0,0 +1,52 @@
+//=============================================================================
+// RPG Maker MZ - Rumble
+//=============================================================================
+
+/*:
+ * @target MZ
+ * @plugindesc Provides commands to rumble the gamepad from events.
+ *
+ * @help Rumble.js
+ *
+ * This plugin provides commands to start and stop a rumble pattern on the
+ * gamepads that support vibration. The patterns are defined in
+ * Input.rumblePatterns. Nothing happens when the player has turned rumble
+ * off in the options, but waiting still takes the same time.
+ *
+ * @command start
+ * @text Start Rumble
+ * @desc Starts a rumble pattern.
+ *
+ * @arg pattern
+ * @type combo
+ * @option light
+ * @option medium
+ * @option heavy
+ * @option critical
+ * @option actorDamage
+ * @default medium
+ * @text Pattern
+ * @desc The name of the rumble pattern.
+ *
+ * @arg wait
+ * @type boolean
+ * @default false
+ * @text Wait for Completion
+ * @desc Whether to wait until the pattern finishes.
+ *
+ * @command stop
+ * @text Stop Rumble
+ * @desc Stops the current rumble.
+ */
+
+(() => {
+    const pluginName = "Rumble";
+
+    PluginManager.registerCommand(pluginName, "start", function(args) {
+        this.startRumble(args.pattern, args.wait === "true");
+    });
+
+    PluginManager.registerCommand(pluginName, "stop", function() {
+        this.stopRumble();
+    });
+})();
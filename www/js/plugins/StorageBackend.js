@@ -0,0 +1,37 @@
+//=============================================================================
+// RPG Maker MZ - Storage Backend
+//=============================================================================
+
+/*:
+ * @target MZ
+ * @plugindesc Chooses where the save data is stored.
+ *
+ * @help StorageBackend.js
+ *
+ * This plugin chooses the storage backend by name when the game boots.
+ * The built-in backends are "local" (files, NW.js only), "forage"
+ * (IndexedDB through localforage) and "memory" (lost on exit, for tests).
+ * Other plugins can register more backends with
+ * StorageManager.registerBackend().
+ *
+ * If the backend is left blank or not registered, the default is used:
+ * files on NW.js and localforage in browsers.
+ *
+ * It does not provide plugin commands.
+ *
+ * @param backend
+ * @type combo
+ * @option local
+ * @option forage
+ * @option memory
+ * @default
+ * @text Backend
+ * @desc The name of the storage backend. Blank for the default.
+ */
+
+(() => {
+    const pluginName = "StorageBackend";
+    const parameters = PluginManager.parameters(pluginName);
+
+    StorageManager.configureBackend(parameters.backend || "");
+})();
@@ -462,6 +462,19 @@ Utils.decryptArrayBuffer = function(source) {
     return body;
 };
 
+/**
+ * Gets the next number of a Mulberry32 random number generator.
+ *
+ * @param {number} state - The state after the previous number, or the seed.
+ * @returns {number[]} The new state and a number in the range [0, 1).
+ */
+Utils.mulberry32 = function(state) {
+    const next = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(next ^ (next >>> 15), next | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return [next, ((t ^ (t >>> 14)) >>> 0) / 0x100000000];
+};
+
 //-----------------------------------------------------------------------------
 /**
  * The static class that carries out graphics processing.
@@ -475,9 +488,11 @@ function Graphics() {
 /**
  * Initializes the graphics system.
  *
+ * @param {boolean} [headless] - Run without a renderer, drawing nothing.
  * @returns {boolean} True if the graphics system is available.
  */
-Graphics.initialize = function() {
+Graphics.initialize = function(headless) {
+    this._headless = !!headless;
     this._width = 0;
     this._height = 0;
     this._defaultScale = 1;
@@ -487,7 +502,7 @@ Graphics.initialize = function() {
     this._canvas = null;
     this._fpsCounter = null;
     this._loadingSpinner = null;
-    this._stretchEnabled = this._defaultStretchMode();
+    this._stretchEnabled = !this._headless && this._defaultStretchMode();
     this._app = null;
     this._effekseer = null;
     this._wasLoading = false;
@@ -517,13 +532,24 @@ Graphics.initialize = function() {
     this.boxHeight = this._height;
 
     this._updateRealScale();
-    this._createAllElements();
-    this._disableContextMenu();
-    this._setupEventHandlers();
-    this._createPixiApp();
-    this._createEffekseerContext();
+    if (!this._headless) {
+        this._createAllElements();
+        this._disableContextMenu();
+        this._setupEventHandlers();
+        this._createPixiApp();
+        this._createEffekseerContext();
+    }
 
-    return !!this._app;
+    return this._headless || !!this._app;
+};
+
+/**
+ * Checks whether the graphics system runs without a renderer.
+ *
+ * @returns {boolean} True if in the headless mode.
+ */
+Graphics.isHeadless = function() {
+    return this._headless;
 };
 
 /**
@@ -596,6 +622,9 @@ Graphics.setStage = function(stage) {
  * Shows the loading spinner.
  */
 Graphics.startLoading = function() {
+    if (this._headless) {
+        return;
+    }
     if (!document.getElementById("loadingSpinner")) {
         document.body.appendChild(this._loadingSpinner);
     }
@@ -607,6 +636,9 @@ Graphics.startLoading = function() {
  * @returns {boolean} True if the loading spinner was active.
  */
 Graphics.endLoading = function() {
+    if (this._headless) {
+        return false;
+    }
     if (document.getElementById("loadingSpinner")) {
         document.body.removeChild(this._loadingSpinner);
         return true;
@@ -730,7 +762,9 @@ Graphics.hideScreen = function() {
 Graphics.resize = function(width, height) {
     this._width = width;
     this._height = height;
-    this._app.renderer.resize(width, height);
+    if (this._app) {
+        this._app.renderer.resize(width, height);
+    }
     this._updateAllElements();
 };
 
@@ -800,8 +834,10 @@ Graphics._createAllElements = function() {
 
 Graphics._updateAllElements = function() {
     this._updateRealScale();
-    this._updateErrorPrinter();
-    this._updateCanvas();
+    if (!this._headless) {
+        this._updateErrorPrinter();
+        this._updateCanvas();
+    }
     this._updateVideo();
 };
 
@@ -1270,7 +1306,7 @@ Bitmap.snap = function(stage) {
     const height = Graphics.height;
     const bitmap = new Bitmap(width, height);
     const renderTexture = PIXI.RenderTexture.create(width, height);
-    if (stage) {
+    if (stage && Graphics.app) {
         const renderer = Graphics.app.renderer;
         renderer.render(stage, renderTexture);
         stage.worldTransform.identity();
@@ -1785,6 +1821,12 @@ Bitmap.prototype._updateScaleMode = function() {
 };
 
 Bitmap.prototype._startLoading = function() {
+    if (Graphics.isHeadless()) {
+        // Nothing is drawn, so the image is not loaded.
+        this._createCanvas(0, 0);
+        this._loadingState = "loaded";
+        return;
+    }
     this._image = new Image();
     this._image.onload = this._onLoad.bind(this);
     this._image.onerror = this._onError.bind(this);
@@ -4638,15 +4680,18 @@ WebAudio.prototype.initialize = function(url) {
 /**
  * Initializes the audio system.
  *
+ * @param {boolean} [headless] - Run without an audio context, playing nothing.
  * @returns {boolean} True if the audio system is available.
  */
-WebAudio.initialize = function() {
+WebAudio.initialize = function(headless) {
     this._context = null;
     this._masterGainNode = null;
     this._masterVolume = 1;
-    this._createContext();
-    this._createMasterGainNode();
-    this._setupEventHandlers();
+    if (!headless) {
+        this._createContext();
+        this._createMasterGainNode();
+        this._setupEventHandlers();
+    }
     return !!this._context;
 };
 
@@ -5468,13 +5513,16 @@ function Video() {
  *
  * @param {number} width - The width of the video.
  * @param {number} height - The height of the video.
+ * @param {boolean} [headless] - Run without a video element, playing nothing.
  */
-Video.initialize = function(width, height) {
+Video.initialize = function(width, height, headless) {
     this._element = null;
     this._loading = false;
     this._volume = 1;
-    this._createElement();
-    this._setupEventHandlers();
+    if (!headless) {
+        this._createElement();
+        this._setupEventHandlers();
+    }
     this.resize(width, height);
 };
 
@@ -5497,6 +5545,9 @@ Video.resize = function(width, height) {
  * @param {string} src - The url of the video.
  */
 Video.play = function(src) {
+    if (!this._element) {
+        return;
+    }
     this._element.src = src;
     this._element.onloadeddata = this._onLoad.bind(this);
     this._element.onerror = this._onError.bind(this);
@@ -5571,7 +5622,7 @@ Video._updateVisibility = function(videoVisible) {
 };
 
 Video._isVisible = function() {
-    return this._element.style.opacity > 0;
+    return !!this._element && this._element.style.opacity > 0;
 };
 
 Video._setupEventHandlers = function() {
@@ -5599,10 +5650,17 @@ function Input() {
 
 /**
  * Initializes the input system.
+ *
+ * @param {boolean} [headless] - Run without listening to the document.
  */
-Input.initialize = function() {
+Input.initialize = function(headless) {
     this.clear();
-    this._setupEventHandlers();
+    this._captureCallback = null;
+    this._rumbleSteps = [];
+    this._rumbleCount = 0;
+    if (!headless) {
+        this._setupEventHandlers();
+    }
 };
 
 /**
@@ -5619,6 +5677,46 @@ Input.keyRepeatWait = 24;
  */
 Input.keyRepeatInterval = 6;
 
+/**
+ * The radius of the analog stick deadzone, from 0 to 1.
+ *
+ * @type number
+ */
+Input.stickDeadzone = 0.2;
+
+/**
+ * The deadzone of the analog triggers and buttons, from 0 to 1.
+ *
+ * @type number
+ */
+Input.triggerDeadzone = 0.1;
+
+/**
+ * Whether gamepads are allowed to rumble.
+ *
+ * @type boolean
+ */
+Input.rumbleEnabled = true;
+
+/**
+ * Named rumble patterns. Each pattern is an array of steps played in order,
+ * where a step has the magnitudes of the strong and weak motors from 0 to 1
+ * and its length in frames.
+ *
+ * @type Object
+ */
+Input.rumblePatterns = {
+    light: [{ strong: 0, weak: 0.4, frames: 8 }],
+    medium: [{ strong: 0.5, weak: 0.5, frames: 12 }],
+    heavy: [{ strong: 1, weak: 1, frames: 20 }],
+    critical: [
+        { strong: 1, weak: 1, frames: 6 },
+        { strong: 0, weak: 0, frames: 4 },
+        { strong: 0.8, weak: 0.8, frames: 10 }
+    ],
+    actorDamage: [{ strong: 0.6, weak: 0.3, frames: 10 }]
+};
+
 /**
  * A hash table to convert from a virtual key code to a mapped key name.
  *
@@ -5683,13 +5781,166 @@ Input.clear = function() {
     this._preferredAxis = "";
     this._date = 0;
     this._virtualButton = null;
+    this._axes = {};
+    this._buttonValues = [];
+};
+
+/**
+ * Sets whether a key is pressed, as if the state came from a device.
+ * This is used to drive the game from automated tests.
+ *
+ * @param {string} keyName - The mapped name of the key.
+ * @param {boolean} pressed - Whether the key is pressed.
+ */
+Input.setPressed = function(keyName, pressed) {
+    this._currentState[keyName] = pressed;
 };
 
+/**
+ * Rebuilds a mapper from its default entries overlaid with bindings.
+ *
+ * The defaults are the entries the mapper had when this was first called
+ * for it, so entries that plugins add at startup are kept.
+ *
+ * @param {Object} mapper - Input.keyMapper or Input.gamepadMapper.
+ * @param {Object} bindings - Key codes to mapped names, or "" to unbind.
+ */
+Input.applyBindings = function(mapper, bindings) {
+    const defaults = this._defaultMapping(mapper);
+    for (const code of Object.getOwnPropertyNames(mapper)) {
+        delete mapper[code];
+    }
+    Object.defineProperties(mapper, defaults);
+    for (const code of Object.keys(bindings)) {
+        // [Note] Accessors installed by plugins are replaced, not assigned,
+        //   so that restoring the defaults brings them back unchanged.
+        delete mapper[code];
+        if (bindings[code]) {
+            mapper[code] = bindings[code];
+        }
+    }
+};
+
+/**
+ * Gets the key codes that a mapper converts to the given name.
+ *
+ * @param {Object} mapper - Input.keyMapper or Input.gamepadMapper.
+ * @param {string} keyName - The mapped name of the key.
+ * @returns {number[]} The key codes in ascending order.
+ */
+Input.codesFor = function(mapper, keyName) {
+    const codes = Object.getOwnPropertyNames(mapper).map(Number);
+    return codes.filter(code => mapper[code] === keyName).sort((a, b) => a - b);
+};
+
+/**
+ * Starts capturing the next key or gamepad button pressed.
+ *
+ * While capturing, the input is passed to the callback instead of being
+ * converted by the mappers.
+ *
+ * @param {function} callback - Called with the device ("keyboard" or
+ *   "gamepad") and the key code.
+ */
+Input.startCapture = function(callback) {
+    this._captureCallback = callback;
+};
+
+/**
+ * Stops capturing input.
+ */
+Input.stopCapture = function() {
+    this._captureCallback = null;
+};
+
+/**
+ * Checks whether input is being captured.
+ *
+ * @returns {boolean} True if input is being captured.
+ */
+Input.isCapturing = function() {
+    return !!this._captureCallback;
+};
+
+/**
+ * Gets a display name for a key code.
+ *
+ * @param {string} device - "keyboard" or "gamepad".
+ * @param {number} code - The key code.
+ * @returns {string} The name of the key.
+ */
+Input.codeName = function(device, code) {
+    if (device === "gamepad") {
+        return this.gamepadNames[code] || "Button " + code;
+    } else if (this.keyNames[code]) {
+        return this.keyNames[code];
+    } else if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) {
+        return String.fromCharCode(code);
+    } else if (code >= 96 && code <= 105) {
+        return "Num " + (code - 96);
+    } else if (code >= 112 && code <= 123) {
+        return "F" + (code - 111);
+    } else {
+        return "Key " + code;
+    }
+};
+
+/**
+ * Display names of the keys that are not letters, digits or function keys.
+ *
+ * @type Object
+ */
+Input.keyNames = {
+    8: "Backspace",
+    9: "Tab",
+    13: "Enter",
+    16: "Shift",
+    17: "Ctrl",
+    18: "Alt",
+    27: "Esc",
+    32: "Space",
+    33: "Page Up",
+    34: "Page Down",
+    35: "End",
+    36: "Home",
+    37: "Left",
+    38: "Up",
+    39: "Right",
+    40: "Down",
+    45: "Insert",
+    46: "Delete"
+};
+
+/**
+ * Display names of the gamepad buttons, in standard layout order.
+ *
+ * @type Array
+ */
+Input.gamepadNames = [
+    "A",
+    "B",
+    "X",
+    "Y",
+    "LB",
+    "RB",
+    "LT",
+    "RT",
+    "Back",
+    "Start",
+    "L3",
+    "R3",
+    "D-pad Up",
+    "D-pad Down",
+    "D-pad Left",
+    "D-pad Right"
+];
+
 /**
  * Updates the input data.
  */
 Input.update = function() {
     this._pollGamepads();
+    InputRecorder.processInput();
     if (this._currentState[this._latestButton]) {
         this._pressedTime++;
     } else {
@@ -5775,6 +6026,118 @@ Input.isLongPressed = function(keyName) {
     }
 };
 
+/**
+ * Gets the value of an analog axis, with the deadzone applied.
+ *
+ * The stick axes are "leftX", "leftY", "rightX" and "rightY", from -1 to 1.
+ * The trigger axes are "leftTrigger" and "rightTrigger", from 0 to 1.
+ *
+ * @param {string} axisName - The name of the axis.
+ * @returns {number} The value of the axis.
+ */
+Input.axis = function(axisName) {
+    return this._axes[axisName] || 0;
+};
+
+/**
+ * Gets how far an analog stick is tilted, with the deadzone applied.
+ *
+ * @param {string} stickName - "left" or "right".
+ * @returns {number} The tilt from 0 to 1.
+ */
+Input.stickMagnitude = function(stickName) {
+    const x = this.axis(stickName + "X");
+    const y = this.axis(stickName + "Y");
+    return Math.min(Math.hypot(x, y), 1);
+};
+
+/**
+ * Gets how hard a key is pressed.
+ *
+ * Analog gamepad buttons such as the triggers give their pressure, and
+ * all other keys give 1 while pressed.
+ *
+ * @param {string} keyName - The mapped name of the key.
+ * @returns {number} The pressure from 0 to 1.
+ */
+Input.pressure = function(keyName) {
+    if (!this.isPressed(keyName)) {
+        return 0;
+    }
+    let value = 0;
+    for (const code of this.codesFor(this.gamepadMapper, keyName)) {
+        value = Math.max(value, this._buttonValues[code] || 0);
+    }
+    return value > 0 ? value : 1;
+};
+
+/**
+ * Starts a rumble pattern on the connected gamepads that support it.
+ *
+ * @param {string|array} pattern - The name of a pattern in rumblePatterns,
+ *   or an array of steps.
+ */
+Input.startRumble = function(pattern) {
+    const steps = this._resolveRumble(pattern);
+    if (this.rumbleEnabled && steps.length > 0) {
+        this._rumbleSteps = steps.slice();
+        this._rumbleCount = 0;
+    }
+};
+
+/**
+ * Stops the current rumble.
+ */
+Input.stopRumble = function() {
+    this._rumbleSteps = [];
+    this._rumbleCount = 0;
+    for (const actuator of this._vibrationActuators()) {
+        if (actuator.reset) {
+            actuator.reset().catch(() => 0);
+        }
+    }
+};
+
+/**
+ * Checks whether a rumble pattern is playing.
+ *
+ * @returns {boolean} True if a rumble pattern is playing.
+ */
+Input.isRumbling = function() {
+    return this._rumbleCount > 0 || this._rumbleSteps.length > 0;
+};
+
+/**
+ * Gets the length of a rumble pattern in frames.
+ *
+ * @param {string|array} pattern - The name of a pattern or an array of steps.
+ * @returns {number} The length of the pattern in frames.
+ */
+Input.rumbleFrames = function(pattern) {
+    const steps = this._resolveRumble(pattern);
+    return steps.reduce((r, step) => r + step.frames, 0);
+};
+
+/**
+ * Advances the current rumble pattern by a frame.
+ *
+ * This is called once per frame, apart from Input.update, which windows also
+ * call to clear the input.
+ */
+Input.updateRumble = function() {
+    if (!this.rumbleEnabled) {
+        this._rumbleSteps = [];
+    }
+    if (this._rumbleCount > 0) {
+        this._rumbleCount--;
+    }
+    if (this._rumbleCount === 0 && this._rumbleSteps.length > 0) {
+        const step = this._rumbleSteps.shift();
+        this._rumbleCount = step.frames;
+        this._playVibration(step);
+    }
+};
+
 /**
  * The four direction value as a number of the numpad, or 0 for neutral.
  *
@@ -5828,6 +6191,13 @@ Input._setupEventHandlers = function() {
 };
 
 Input._onKeyDown = function(event) {
+    if (this._captureCallback) {
+        event.preventDefault();
+        if (!event.repeat) {
+            this._captureCallback("keyboard", event.keyCode);
+        }
+        return;
+    }
     if (this._shouldPreventDefault(event.keyCode)) {
         event.preventDefault();
     }
@@ -5868,6 +6238,8 @@ Input._onLostFocus = function() {
 };
 
 Input._pollGamepads = function() {
+    this._axes = {};
+    this._buttonValues = [];
     if (navigator.getGamepads) {
         const gamepads = navigator.getGamepads();
         if (gamepads) {
@@ -5904,7 +6276,9 @@ Input._updateGamepadState = function(gamepad) {
         newState[15] = true; // right
     }
     for (let j = 0; j < newState.length; j++) {
-        if (newState[j] !== lastState[j]) {
+        if (newState[j] && !lastState[j] && this._captureCallback) {
+            this._captureCallback("gamepad", j);
+        } else if (newState[j] !== lastState[j]) {
             const buttonName = this.gamepadMapper[j];
             if (buttonName) {
                 this._currentState[buttonName] = newState[j];
@@ -5912,6 +6286,83 @@ Input._updateGamepadState = function(gamepad) {
         }
     }
     this._gamepadStates[gamepad.index] = newState;
+    this._updateAnalogState(gamepad);
+};
+
+Input._updateAnalogState = function(gamepad) {
+    const axes = gamepad.axes;
+    const buttons = gamepad.buttons;
+    const left = this._applyStickDeadzone(axes[0] || 0, axes[1] || 0);
+    const right = this._applyStickDeadzone(axes[2] || 0, axes[3] || 0);
+    this._mergeAxis("leftX", left.x);
+    this._mergeAxis("leftY", left.y);
+    this._mergeAxis("rightX", right.x);
+    this._mergeAxis("rightY", right.y);
+    for (let i = 0; i < buttons.length; i++) {
+        const value = this._applyTriggerDeadzone(buttons[i].value || 0);
+        this._buttonValues[i] = Math.max(this._buttonValues[i] || 0, value);
+    }
+    this._mergeAxis("leftTrigger", this._buttonValues[6] || 0);
+    this._mergeAxis("rightTrigger", this._buttonValues[7] || 0);
+};
+
+Input._applyStickDeadzone = function(x, y) {
+    // The deadzone is radial, and the rest of the range is rescaled so that
+    // the values start from 0 at its edge.
+    const magnitude = Math.min(Math.hypot(x, y), 1);
+    const deadzone = this.stickDeadzone;
+    if (magnitude <= deadzone) {
+        return { x: 0, y: 0 };
+    } else {
+        const scale = (magnitude - deadzone) / (1 - deadzone) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+};
+
+Input._applyTriggerDeadzone = function(value) {
+    const deadzone = this.triggerDeadzone;
+    return value > deadzone ? (value - deadzone) / (1 - deadzone) : 0;
+};
+
+Input._resolveRumble = function(pattern) {
+    if (typeof pattern === "string") {
+        return this.rumblePatterns[pattern] || [];
+    } else {
+        return pattern || [];
+    }
+};
+
+Input._playVibration = function(step) {
+    for (const actuator of this._vibrationActuators()) {
+        if (actuator.playEffect) {
+            actuator
+                .playEffect("dual-rumble", {
+                    startDelay: 0,
+                    duration: (step.frames * 1000) / 60,
+                    strongMagnitude: step.strong,
+                    weakMagnitude: step.weak
+                })
+                .catch(() => 0);
+        }
+    }
+};
+
+Input._vibrationActuators = function() {
+    const actuators = [];
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : null;
+    for (const gamepad of gamepads || []) {
+        if (gamepad && gamepad.connected && gamepad.vibrationActuator) {
+            actuators.push(gamepad.vibrationActuator);
+        }
+    }
+    return actuators;
+};
+
+Input._mergeAxis = function(axisName, value) {
+    // When several gamepads are connected, the largest input wins.
+    if (Math.abs(value) > Math.abs(this.axis(axisName))) {
+        this._axes[axisName] = value;
+    }
 };
 
 Input._updateDirection = function() {
@@ -5956,6 +6407,17 @@ Input._isEscapeCompatible = function(keyName) {
     return keyName === "cancel" || keyName === "menu";
 };
 
+Input._defaultMapping = function(mapper) {
+    if (!this._defaultMappings) {
+        this._defaultMappings = new Map();
+    }
+    if (!this._defaultMappings.has(mapper)) {
+        const descriptors = Object.getOwnPropertyDescriptors(mapper);
+        this._defaultMappings.set(mapper, descriptors);
+    }
+    return this._defaultMappings.get(mapper);
+};
+
 //-----------------------------------------------------------------------------
 /**
  * The static class that handles input data from the mouse and touchscreen.
@@ -5968,10 +6430,14 @@ function TouchInput() {
 
 /**
  * Initializes the touch system.
+ *
+ * @param {boolean} [headless] - Run without listening to the document.
  */
-TouchInput.initialize = function() {
+TouchInput.initialize = function(headless) {
     this.clear();
-    this._setupEventHandlers();
+    if (!headless) {
+        this._setupEventHandlers();
+    }
 };
 
 /**
@@ -6017,6 +6483,7 @@ TouchInput.clear = function() {
  * Updates the touch data.
  */
 TouchInput.update = function() {
+    InputRecorder.processTouchInput();
     this._currentState = this._newState;
     this._newState = this._createNewState();
     this._clicked = this._currentState.released && !this._moved;
@@ -6351,6 +6818,220 @@ TouchInput._onRelease = function(x, y) {
     this._y = y;
 };
 
+//-----------------------------------------------------------------------------
+/**
+ * The static class that records the input of every frame and replays it.
+ *
+ * While recording or replaying, Math.random is driven by the seed stored in
+ * the log, so that a session can be reproduced frame by frame.
+ *
+ * @namespace
+ */
+function InputRecorder() {
+    throw new Error("This is a static class");
+}
+
+InputRecorder._mode = "";
+InputRecorder._log = null;
+InputRecorder._index = 0;
+InputRecorder._frame = null;
+InputRecorder._lastFrame = null;
+InputRecorder._lastJson = "";
+InputRecorder._onEnd = null;
+InputRecorder._randomState = 0;
+InputRecorder._mathRandom = null;
+
+/**
+ * Starts recording the input.
+ *
+ * @param {object} [header] - Additional information to be stored in the log.
+ */
+InputRecorder.startRecording = function(header) {
+    this.stop();
+    const seed = Math.floor(Math.random() * 0x100000000);
+    const random = this._saveGameRandom();
+    const base = { seed: seed, random: random };
+    this._log = { header: Object.assign(base, header), frames: [] };
+    this._lastJson = "";
+    this._mode = "record";
+    this._seedRandom(seed);
+};
+
+/**
+ * Stops recording and returns the log.
+ *
+ * @returns {object} The log containing the header and the frames.
+ */
+InputRecorder.stopRecording = function() {
+    const log = this.isRecording() ? this._log : null;
+    this.stop();
+    return log;
+};
+
+/**
+ * Starts replaying a recorded log.
+ *
+ * @param {object} log - The log returned by stopRecording.
+ * @param {function} [onEnd] - The callback function when the log runs out.
+ */
+InputRecorder.startReplay = function(log, onEnd) {
+    this.stop();
+    this._log = log;
+    this._index = 0;
+    this._lastFrame = null;
+    this._onEnd = onEnd || null;
+    this._mode = "replay";
+    this._seedRandom(log.header.seed);
+    this._restoreGameRandom(log.header.random);
+    Input.clear();
+    TouchInput.clear();
+};
+
+/**
+ * Stops recording or replaying.
+ */
+InputRecorder.stop = function() {
+    if (this._mathRandom) {
+        Math.random = this._mathRandom;
+        this._mathRandom = null;
+    }
+    this._mode = "";
+    this._frame = null;
+};
+
+/**
+ * Checks whether the input is being recorded.
+ *
+ * @returns {boolean} True if recording.
+ */
+InputRecorder.isRecording = function() {
+    return this._mode === "record";
+};
+
+/**
+ * Checks whether a log is being replayed.
+ *
+ * @returns {boolean} True if replaying.
+ */
+InputRecorder.isReplaying = function() {
+    return this._mode === "replay";
+};
+
+/**
+ * Advances to the next frame. Call this before updating the input.
+ */
+InputRecorder.update = function() {
+    if (this.isRecording()) {
+        this._frame = {};
+    } else if (this.isReplaying()) {
+        if (this._index < this._log.frames.length) {
+            const frame = this._log.frames[this._index++];
+            this._frame = frame || this._lastFrame;
+            this._lastFrame = this._frame;
+        } else {
+            const onEnd = this._onEnd;
+            this.stop();
+            Input.clear();
+            TouchInput.clear();
+            if (onEnd) {
+                onEnd();
+            }
+        }
+    }
+};
+
+/**
+ * Records or replaces the key state of Input for the current frame.
+ */
+InputRecorder.processInput = function() {
+    if (this._frame) {
+        if (this.isRecording()) {
+            const state = Input._currentState;
+            this._frame.keys = Object.keys(state).filter(name => state[name]);
+            this._frame.axes = Object.assign({}, Input._axes);
+            this._frame.buttons = Input._buttonValues.slice();
+        } else {
+            Input._currentState = {};
+            for (const name of this._frame.keys) {
+                Input._currentState[name] = true;
+            }
+            Input._axes = Object.assign({}, this._frame.axes);
+            Input._buttonValues = (this._frame.buttons || []).slice();
+        }
+    }
+};
+
+/**
+ * Records or replaces the state of TouchInput for the current frame, then
+ * finishes the frame.
+ */
+InputRecorder.processTouchInput = function() {
+    if (this._frame) {
+        if (this.isRecording()) {
+            this._frame.touch = this._makeTouchState();
+            this._pushFrame(this._frame);
+        } else {
+            this._applyTouchState(this._frame.touch);
+        }
+        this._frame = null;
+    }
+};
+
+InputRecorder._pushFrame = function(frame) {
+    // Frames identical to the previous one are stored as null.
+    const json = JSON.stringify(frame);
+    this._log.frames.push(json === this._lastJson ? null : frame);
+    this._lastJson = json;
+};
+
+InputRecorder._makeTouchState = function() {
+    return {
+        newState: Object.assign({}, TouchInput._newState),
+        mousePressed: TouchInput._mousePressed,
+        screenPressed: TouchInput._screenPressed,
+        x: TouchInput._x,
+        y: TouchInput._y,
+        triggerX: TouchInput._triggerX,
+        triggerY: TouchInput._triggerY,
+        moved: TouchInput._moved
+    };
+};
+
+InputRecorder._applyTouchState = function(touch) {
+    TouchInput._newState = Object.assign({}, touch.newState);
+    TouchInput._mousePressed = touch.mousePressed;
+    TouchInput._screenPressed = touch.screenPressed;
+    TouchInput._x = touch.x;
+    TouchInput._y = touch.y;
+    TouchInput._triggerX = touch.triggerX;
+    TouchInput._triggerY = touch.triggerY;
+    TouchInput._moved = touch.moved;
+};
+
+InputRecorder._seedRandom = function(seed) {
+    this._randomState = seed >>> 0;
+    this._mathRandom = Math.random;
+    Math.random = this._nextRandom.bind(this);
+};
+
+InputRecorder._saveGameRandom = function() {
+    // The game logic rolls with $gameRandom, which carries on from wherever
+    // the session is, so its state goes into the log as well.
+    return window.$gameRandom ? JsonEx.stringify(window.$gameRandom) : null;
+};
+
+InputRecorder._restoreGameRandom = function(json) {
+    if (json) {
+        window.$gameRandom = JsonEx.parse(json);
+    }
+};
+
+InputRecorder._nextRandom = function() {
+    const [state, value] = Utils.mulberry32(this._randomState);
+    this._randomState = state;
+    return value;
+};
+
 //-----------------------------------------------------------------------------
 /**
  * The static class that handles JSON with object information.
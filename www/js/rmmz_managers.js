@@ -30,6 +30,8 @@ $gameTemp = null;
 $gameSystem = null;
 $gameScreen = null;
 $gameTimer = null;
+$gameRandom = null;
+$gameBestiary = null;
 $gameMessage = null;
 $gameSwitches = null;
 $gameVariables = null;
@@ -43,6 +45,8 @@ $testEvent = null;
 
 DataManager._globalInfo = null;
 DataManager._errors = [];
+DataManager._formulaErrors = [];
+DataManager._saveMigrations = [];
 
 DataManager._databaseFiles = [
     { name: "$dataActors", src: "Actors.json" },
@@ -103,6 +107,10 @@ DataManager.loadDatabase = function() {
 };
 
 DataManager.loadDataFile = function(name, src) {
+    if (SceneManager.isHeadless()) {
+        this.readDataFile(name, src);
+        return;
+    }
     const xhr = new XMLHttpRequest();
     const url = "data/" + src;
     window[name] = null;
@@ -122,6 +130,24 @@ DataManager.onXhrLoad = function(xhr, name, src, url) {
     }
 };
 
+// [Note] There is no XMLHttpRequest in the headless mode, so the file is read
+//   from the game directory given to SceneManager.runHeadless().
+DataManager.readDataFile = function(name, src) {
+    const fs = require("fs");
+    const path = require("path");
+    const url = "data/" + src;
+    const filePath = path.join(SceneManager.rootDirectory(), url);
+    window[name] = null;
+    fs.readFile(filePath, "utf8", (err, data) => {
+        if (err) {
+            this.onXhrError(name, src, url);
+        } else {
+            window[name] = JSON.parse(data);
+            this.onLoad(window[name]);
+        }
+    });
+};
+
 DataManager.onXhrError = function(name, src, url) {
     const error = { name: name, src: src, url: url };
     this._errors.push(error);
@@ -134,6 +160,7 @@ DataManager.isDatabaseLoaded = function() {
             return false;
         }
     }
+    this.checkFormulaErrors();
     return true;
 };
 
@@ -167,6 +194,9 @@ DataManager.onLoad = function(object) {
     } else {
         this.extractArrayMetadata(object);
     }
+    if (object === window.$dataSkills || object === window.$dataItems) {
+        this.compileDamageFormulas(object);
+    }
 };
 
 DataManager.isMapObject = function(object) {
@@ -200,6 +230,40 @@ DataManager.extractMetadata = function(data) {
     }
 };
 
+DataManager.compileDamageFormulas = function(array) {
+    const kind = array === $dataSkills ? "Skill" : "Item";
+    for (const item of array) {
+        if (item && item.damage && item.damage.type > 0) {
+            const formula = Game_DamageFormula.get(item.damage.formula);
+            if (!formula.isValid()) {
+                this._formulaErrors.push(
+                    "%1 %2 (%3): %4".format(
+                        kind,
+                        item.id,
+                        item.name,
+                        formula.error()
+                    )
+                );
+            }
+        }
+    }
+};
+
+// Broken formulas stop a playtest at boot; a released game logs them and
+// treats them as 0 damage.
+DataManager.checkFormulaErrors = function() {
+    if (this._formulaErrors.length > 0) {
+        const errors = this._formulaErrors;
+        this._formulaErrors = [];
+        const message = "Invalid damage formulas:\n" + errors.join("\n");
+        if (Utils.isOptionValid("test")) {
+            throw new Error(message);
+        } else {
+            console.warn(message);
+        }
+    }
+};
+
 DataManager.checkError = function() {
     if (this._errors.length > 0) {
         const error = this._errors.shift();
@@ -239,6 +303,8 @@ DataManager.createGameObjects = function() {
     $gameSystem = new Game_System();
     $gameScreen = new Game_Screen();
     $gameTimer = new Game_Timer();
+    $gameRandom = new Game_Random();
+    $gameBestiary = new Game_Bestiary();
     $gameMessage = new Game_Message();
     $gameSwitches = new Game_Switches();
     $gameVariables = new Game_Variables();
@@ -340,24 +406,72 @@ DataManager.savefileExists = function(savefileId) {
 
 DataManager.saveGame = function(savefileId) {
     const contents = this.makeSaveContents();
+    contents.version = this.latestSaveVersion();
     const saveName = this.makeSavename(savefileId);
-    return StorageManager.saveObject(saveName, contents).then(() => {
-        this._globalInfo[savefileId] = this.makeSavefileInfo();
-        this.saveGlobalInfo();
-        return 0;
-    });
+    const generations = this.maxSavefileBackups();
+    return StorageManager.rotateBackups(saveName, generations)
+        .then(() => StorageManager.saveObject(saveName, contents))
+        .then(() => {
+            this._globalInfo[savefileId] = this.makeSavefileInfo();
+            this.saveGlobalInfo();
+            return 0;
+        });
 };
 
 DataManager.loadGame = function(savefileId) {
     const saveName = this.makeSavename(savefileId);
     return StorageManager.loadObject(saveName).then(contents => {
         this.createGameObjects();
+        this.migrateSaveContents(contents);
         this.extractSaveContents(contents);
         this.correctDataErrors();
         return 0;
     });
 };
 
+DataManager.maxSavefileBackups = function() {
+    return 3;
+};
+
+DataManager.savefileBackupExists = function(savefileId) {
+    const saveName = this.makeSavename(savefileId);
+    const generations = this.maxSavefileBackups();
+    for (let i = 1; i <= generations; i++) {
+        if (StorageManager.exists(StorageManager.backupName(saveName, i))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+DataManager.restoreSavefileBackup = function(savefileId) {
+    // Restores the newest backup that passes verification, then loads it.
+    return this.restoreBackupGeneration(savefileId, 1);
+};
+
+DataManager.restoreBackupGeneration = function(savefileId, generation) {
+    const saveName = this.makeSavename(savefileId);
+    const backupName = StorageManager.backupName(saveName, generation);
+    if (generation > this.maxSavefileBackups()) {
+        return Promise.reject(new Error("No valid backup: " + saveName));
+    }
+    return StorageManager.loadVerifiedZip(backupName)
+        .then(() => StorageManager.copyVerifiedZip(backupName, saveName))
+        .then(() => this.loadGame(savefileId))
+        .then(() => {
+            this._globalInfo[savefileId] = this.makeSavefileInfo();
+            this.saveGlobalInfo();
+            return 0;
+        })
+        .catch(error => {
+            if (StorageManager.exists(backupName)) {
+                return this.restoreBackupGeneration(savefileId, generation + 1);
+            } else {
+                throw error;
+            }
+        });
+};
+
 DataManager.makeSavename = function(savefileId) {
     return "file%1".format(savefileId);
 };
@@ -388,6 +502,8 @@ DataManager.makeSaveContents = function() {
     contents.system = $gameSystem;
     contents.screen = $gameScreen;
     contents.timer = $gameTimer;
+    contents.random = $gameRandom;
+    contents.bestiary = $gameBestiary;
     contents.switches = $gameSwitches;
     contents.variables = $gameVariables;
     contents.selfSwitches = $gameSelfSwitches;
@@ -402,6 +518,8 @@ DataManager.extractSaveContents = function(contents) {
     $gameSystem = contents.system;
     $gameScreen = contents.screen;
     $gameTimer = contents.timer;
+    $gameRandom = contents.random;
+    $gameBestiary = contents.bestiary;
     $gameSwitches = contents.switches;
     $gameVariables = contents.variables;
     $gameSelfSwitches = contents.selfSwitches;
@@ -415,6 +533,127 @@ DataManager.correctDataErrors = function() {
     $gameParty.removeInvalidMembers();
 };
 
+DataManager.registerSaveMigration = function(version, migration) {
+    // [Note] Each step upgrades the save contents to the given version.
+    //   Steps with the same version run in the order they were registered.
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error("Invalid save migration version: " + version);
+    }
+    const migrations = this._saveMigrations;
+    const order = migrations.length;
+    migrations.push({ version: version, migration: migration, order: order });
+    migrations.sort((a, b) => a.version - b.version || a.order - b.order);
+};
+
+DataManager.latestSaveVersion = function() {
+    const versions = this._saveMigrations.map(step => step.version);
+    return Math.max(0, ...versions);
+};
+
+DataManager.saveContentsVersion = function(contents) {
+    // Save data written before versioning was introduced has no version.
+    return Number(contents.version) || 0;
+};
+
+DataManager.migrateSaveContents = function(contents) {
+    const version = this.saveContentsVersion(contents);
+    const latest = this.latestSaveVersion();
+    if (version > latest) {
+        throw new Error("Save data is newer than this game (" + version + ")");
+    }
+    for (const step of this._saveMigrations) {
+        if (step.version > version) {
+            step.migration(contents);
+        }
+    }
+    contents.version = latest;
+};
+
+DataManager.registerSaveMigration(1, contents => {
+    // Saves before version 1 have no random number source.
+    if (!contents.random) {
+        contents.random = new Game_Random();
+    }
+});
+
+DataManager.registerSaveMigration(2, contents => {
+    // Saves before version 2 have no skill cooldowns or charges.
+    for (const actor of contents.actors._data) {
+        if (actor && !actor._skillCooldowns) {
+            actor.clearSkillCooldowns();
+            actor.recoverSkillCharges();
+        }
+    }
+});
+
+DataManager.registerSaveMigration(3, contents => {
+    // Saves before version 3 have no bestiary.
+    if (!contents.bestiary) {
+        contents.bestiary = new Game_Bestiary();
+    }
+});
+
+DataManager.exportSavefile = function(savefileId) {
+    const saveName = this.makeSavename(savefileId);
+    return StorageManager.loadVerifiedZip(saveName)
+        .then(zip => StorageManager.zipToJson(zip))
+        .then(json => {
+            const data = {};
+            data.format = "rmmzexport";
+            data.gameId = $dataSystem.advanced.gameId;
+            data.info = this.savefileInfo(savefileId);
+            data.contents = json;
+            return StorageManager.jsonToZip(JSON.stringify(data));
+        });
+};
+
+DataManager.importSavefile = function(savefileId, zip) {
+    const saveName = this.makeSavename(savefileId);
+    let data = null;
+    return StorageManager.zipToJson(zip)
+        .then(json => {
+            data = JSON.parse(json);
+            this.checkSavefileImport(data);
+            return StorageManager.jsonToObject(data.contents);
+        })
+        .then(contents => {
+            this.checkSaveContents(contents);
+            return StorageManager.jsonToZip(data.contents);
+        })
+        .then(zip2 => StorageManager.saveVerifiedZip(saveName, zip2))
+        .then(() => {
+            this._globalInfo[savefileId] = data.info;
+            this.saveGlobalInfo();
+            this.loadSavefileImages(data.info);
+            return 0;
+        });
+};
+
+DataManager.checkSavefileImport = function(data) {
+    if (!data || data.format !== "rmmzexport") {
+        throw new Error("Not an exported save file");
+    }
+    if (data.gameId !== $dataSystem.advanced.gameId) {
+        throw new Error("Save file belongs to a different game");
+    }
+    if (!data.info || typeof data.contents !== "string") {
+        throw new Error("Exported save file is incomplete");
+    }
+};
+
+DataManager.checkSaveContents = function(contents) {
+    if (!contents || !contents.system || !contents.party) {
+        throw new Error("Save data is broken");
+    }
+    if (this.saveContentsVersion(contents) > this.latestSaveVersion()) {
+        throw new Error("Save data is newer than this game");
+    }
+};
+
+DataManager.makeExportFilename = function(savefileId) {
+    return this.makeSavename(savefileId) + ".rmmzexport";
+};
+
 //-----------------------------------------------------------------------------
 // ConfigManager
 //
@@ -427,8 +666,37 @@ function ConfigManager() {
 ConfigManager.alwaysDash = false;
 ConfigManager.commandRemember = false;
 ConfigManager.touchUI = true;
+ConfigManager.keyBindings = {};
+ConfigManager.gamepadBindings = {};
 ConfigManager._isLoaded = false;
 
+// Actions that can be rebound on the controls screen. Each action names the
+// mapped key it produces on the keyboard and on the gamepad. The required
+// actions cannot be cleared: the menus need the directions, OK and Cancel,
+// and Dash doubles as the key that clears a binding.
+ConfigManager.controlActions = [
+    { name: "OK", keyboard: "ok", gamepad: "ok", required: true },
+    { name: "Cancel", keyboard: "escape", gamepad: "cancel", required: true },
+    { name: "Menu", keyboard: "menu", gamepad: "menu" },
+    { name: "Dash", keyboard: "shift", gamepad: "shift", required: true },
+    { name: "Page Up", keyboard: "pageup", gamepad: "pageup" },
+    { name: "Page Down", keyboard: "pagedown", gamepad: "pagedown" },
+    { name: "Up", keyboard: "up", gamepad: "up", required: true },
+    { name: "Down", keyboard: "down", gamepad: "down", required: true },
+    { name: "Left", keyboard: "left", gamepad: "left", required: true },
+    { name: "Right", keyboard: "right", gamepad: "right", required: true }
+];
+
+Object.defineProperty(ConfigManager, "rumble", {
+    get: function() {
+        return Input.rumbleEnabled;
+    },
+    set: function(value) {
+        Input.rumbleEnabled = value;
+    },
+    configurable: true
+});
+
 Object.defineProperty(ConfigManager, "bgmVolume", {
     get: function() {
         return AudioManager._bgmVolume;
@@ -493,10 +761,13 @@ ConfigManager.makeData = function() {
     config.alwaysDash = this.alwaysDash;
     config.commandRemember = this.commandRemember;
     config.touchUI = this.touchUI;
+    config.rumble = this.rumble;
     config.bgmVolume = this.bgmVolume;
     config.bgsVolume = this.bgsVolume;
     config.meVolume = this.meVolume;
     config.seVolume = this.seVolume;
+    config.keyBindings = this.keyBindings;
+    config.gamepadBindings = this.gamepadBindings;
     return config;
 };
 
@@ -504,10 +775,14 @@ ConfigManager.applyData = function(config) {
     this.alwaysDash = this.readFlag(config, "alwaysDash", false);
     this.commandRemember = this.readFlag(config, "commandRemember", false);
     this.touchUI = this.readFlag(config, "touchUI", true);
+    this.rumble = this.readFlag(config, "rumble", true);
     this.bgmVolume = this.readVolume(config, "bgmVolume");
     this.bgsVolume = this.readVolume(config, "bgsVolume");
     this.meVolume = this.readVolume(config, "meVolume");
     this.seVolume = this.readVolume(config, "seVolume");
+    this.keyBindings = this.readBindings(config, "keyBindings");
+    this.gamepadBindings = this.readBindings(config, "gamepadBindings");
+    this.applyBindings();
 };
 
 ConfigManager.readFlag = function(config, name, defaultValue) {
@@ -526,6 +801,76 @@ ConfigManager.readVolume = function(config, name) {
     }
 };
 
+ConfigManager.readBindings = function(config, name) {
+    const bindings = {};
+    const value = config[name];
+    if (value && typeof value === "object") {
+        for (const code of Object.keys(value)) {
+            if (Number.isInteger(Number(code))) {
+                bindings[code] = String(value[code] || "");
+            }
+        }
+    }
+    return bindings;
+};
+
+ConfigManager.applyBindings = function() {
+    Input.applyBindings(Input.keyMapper, this.keyBindings);
+    Input.applyBindings(Input.gamepadMapper, this.gamepadBindings);
+};
+
+ConfigManager.bindingMapper = function(device) {
+    return device === "gamepad" ? Input.gamepadMapper : Input.keyMapper;
+};
+
+ConfigManager.bindingCodes = function(action, device) {
+    const mapper = this.bindingMapper(device);
+    return Input.codesFor(mapper, action[device]);
+};
+
+ConfigManager.bindingConflict = function(action, device, code) {
+    const keyName = this.bindingMapper(device)[code];
+    return this.controlActions.find(
+        other => other !== action && other[device] === keyName
+    );
+};
+
+ConfigManager.canBind = function(action, device, code) {
+    // A key can be taken from another action only if that action keeps at
+    // least one other key.
+    const other = this.bindingConflict(action, device, code);
+    return !other || this.bindingCodes(other, device).length > 1;
+};
+
+ConfigManager.bind = function(action, device, code) {
+    const bindings =
+        device === "gamepad" ? this.gamepadBindings : this.keyBindings;
+    bindings[code] = action[device];
+    this.applyBindings();
+};
+
+ConfigManager.canClear = function(action) {
+    return !action.required;
+};
+
+ConfigManager.clearBinding = function(action, device) {
+    const bindings =
+        device === "gamepad" ? this.gamepadBindings : this.keyBindings;
+    for (const code of this.bindingCodes(action, device)) {
+        bindings[code] = "";
+    }
+    this.applyBindings();
+};
+
+ConfigManager.resetBindings = function(device) {
+    if (device === "gamepad") {
+        this.gamepadBindings = {};
+    } else {
+        this.keyBindings = {};
+    }
+    this.applyBindings();
+};
+
 //-----------------------------------------------------------------------------
 // StorageManager
 //
@@ -537,6 +882,10 @@ function StorageManager() {
 
 StorageManager._forageKeys = [];
 StorageManager._forageKeysUpdated = false;
+StorageManager._backends = {};
+StorageManager._backendName = "";
+StorageManager._configuredBackendName = "";
+StorageManager._backendReady = false;
 
 StorageManager.isLocalMode = function() {
     return Utils.isNwjs();
@@ -545,15 +894,117 @@ StorageManager.isLocalMode = function() {
 StorageManager.saveObject = function(saveName, object) {
     return this.objectToJson(object)
         .then(json => this.jsonToZip(json))
-        .then(zip => this.saveZip(saveName, zip));
+        .then(zip => this.saveVerifiedZip(saveName, zip));
 };
 
 StorageManager.loadObject = function(saveName) {
-    return this.loadZip(saveName)
+    return this.loadVerifiedZip(saveName)
         .then(zip => this.zipToJson(zip))
         .then(json => this.jsonToObject(json));
 };
 
+StorageManager.saveVerifiedZip = function(saveName, zip) {
+    const checksumName = this.checksumName(saveName);
+    return this.saveZip(saveName, zip).then(() =>
+        this.saveZip(checksumName, this.checksum(zip))
+    );
+};
+
+StorageManager.loadVerifiedZip = function(saveName) {
+    return this.loadZip(saveName).then(zip => this.verifyZip(saveName, zip));
+};
+
+StorageManager.verifyZip = function(saveName, zip) {
+    // Data written before checksums were introduced is trusted as is.
+    const checksumName = this.checksumName(saveName);
+    if (!zip || !this.exists(checksumName)) {
+        return Promise.resolve(zip);
+    }
+    return this.loadZip(checksumName).then(checksum => {
+        if (checksum !== this.checksum(zip)) {
+            const error = new Error("Checksum mismatch: " + saveName);
+            error.name = "ChecksumError";
+            throw error;
+        }
+        return zip;
+    });
+};
+
+StorageManager.isChecksumError = function(error) {
+    return !!error && error.name === "ChecksumError";
+};
+
+StorageManager.checksum = function(zip) {
+    const table = this.crcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < zip.length; i++) {
+        crc = table[(crc ^ zip.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+StorageManager.crcTable = function() {
+    if (!this._crcTable) {
+        this._crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            this._crcTable[n] = c;
+        }
+    }
+    return this._crcTable;
+};
+
+StorageManager.checksumName = function(saveName) {
+    return saveName + "_sum";
+};
+
+StorageManager.backupName = function(saveName, generation) {
+    return saveName + "_bak" + generation;
+};
+
+StorageManager.rotateBackups = function(saveName, generations) {
+    // A corrupt save is not rotated in, so the backups keep the good data.
+    if (!this.exists(saveName)) {
+        return Promise.resolve();
+    }
+    return this.loadVerifiedZip(saveName)
+        .then(() => this.shiftBackups(saveName, generations))
+        .catch(error => this.skipChecksumError(error));
+};
+
+StorageManager.shiftBackups = function(saveName, generations) {
+    let promise = Promise.resolve();
+    for (let i = generations; i > 1; i--) {
+        const src = this.backupName(saveName, i - 1);
+        const dest = this.backupName(saveName, i);
+        promise = promise
+            .then(() => this.copyVerifiedZip(src, dest))
+            .catch(error => this.skipChecksumError(error));
+    }
+    const first = this.backupName(saveName, 1);
+    return promise.then(() => this.copyVerifiedZip(saveName, first));
+};
+
+StorageManager.skipChecksumError = function(error) {
+    if (this.isChecksumError(error)) {
+        return 0;
+    } else {
+        throw error;
+    }
+};
+
+StorageManager.copyVerifiedZip = function(src, dest) {
+    if (!this.exists(src)) {
+        return Promise.resolve();
+    }
+    return this.loadVerifiedZip(src).then(zip =>
+        this.saveVerifiedZip(dest, zip)
+    );
+};
+
 StorageManager.objectToJson = function(object) {
     return new Promise((resolve, reject) => {
         try {
@@ -606,35 +1057,87 @@ StorageManager.zipToJson = function(zip) {
 };
 
 StorageManager.saveZip = function(saveName, zip) {
-    if (this.isLocalMode()) {
-        return this.saveToLocalFile(saveName, zip);
-    } else {
-        return this.saveToForage(saveName, zip);
-    }
+    return this.backend().saveZip(saveName, zip);
 };
 
 StorageManager.loadZip = function(saveName) {
-    if (this.isLocalMode()) {
-        return this.loadFromLocalFile(saveName);
-    } else {
-        return this.loadFromForage(saveName);
-    }
+    return this.backend().loadZip(saveName);
 };
 
 StorageManager.exists = function(saveName) {
-    if (this.isLocalMode()) {
-        return this.localFileExists(saveName);
-    } else {
-        return this.forageExists(saveName);
-    }
+    return this.backend().exists(saveName);
 };
 
 StorageManager.remove = function(saveName) {
-    if (this.isLocalMode()) {
-        return this.removeLocalFile(saveName);
+    return this.backend().remove(saveName);
+};
+
+// A storage backend is an object with the following methods:
+//   saveZip(saveName, zip) - Returns a promise that resolves when written.
+//   loadZip(saveName)      - Returns a promise that resolves with the data.
+//   exists(saveName)       - Returns whether the data exists synchronously.
+//   remove(saveName)       - Removes the data.
+//   prepare()              - (Optional) Returns a promise that resolves when
+//                            the backend is ready, e.g. keys are cached.
+StorageManager.registerBackend = function(name, backend) {
+    this._backends[name] = backend;
+};
+
+StorageManager.setBackend = function(name) {
+    if (!this._backends[name]) {
+        throw new Error("Unknown storage backend: " + name);
+    }
+    this._backendName = name;
+};
+
+// [Note] A configured backend may be registered by a plugin loaded later, so
+//   the name is checked at boot. An unknown name falls back to the default,
+//   files on NW.js and localforage in browsers.
+StorageManager.configureBackend = function(name) {
+    this._configuredBackendName = name;
+};
+
+StorageManager.applyConfiguredBackend = function() {
+    const name = this._configuredBackendName;
+    if (name && !this._backendName) {
+        if (this._backends[name]) {
+            this._backendName = name;
+        } else {
+            console.warn("Unknown storage backend: " + name);
+        }
+    }
+};
+
+StorageManager.backendName = function() {
+    if (this._backendName) {
+        return this._backendName;
     } else {
-        return this.removeForage(saveName);
+        return this.isLocalMode() ? "local" : "forage";
+    }
+};
+
+StorageManager.backend = function() {
+    const name = this.backendName();
+    const backend = this._backends[name];
+    if (!backend) {
+        throw new Error("Unknown storage backend: " + name);
     }
+    return backend;
+};
+
+StorageManager.prepareBackend = function() {
+    this.applyConfiguredBackend();
+    const backend = this.backend();
+    this._backendReady = false;
+    const promise = backend.prepare ? backend.prepare() : Promise.resolve();
+    return promise.then(() => {
+        this._backendReady = true;
+        return 0;
+    });
+};
+
+StorageManager.isBackendReady = function() {
+    return this._backendReady;
 };
 
 StorageManager.saveToLocalFile = function(saveName, zip) {
@@ -775,6 +1278,97 @@ StorageManager.forageTestKey = function() {
     return "rmmzsave.test";
 };
 
+StorageManager.makeMemoryBackend = function() {
+    const store = new Map();
+    return {
+        saveZip: (saveName, zip) => {
+            store.set(saveName, zip);
+            return Promise.resolve();
+        },
+        loadZip: saveName => {
+            if (store.has(saveName)) {
+                return Promise.resolve(store.get(saveName));
+            } else {
+                return Promise.reject(new Error("Savefile not found"));
+            }
+        },
+        exists: saveName => store.has(saveName),
+        remove: saveName => {
+            store.delete(saveName);
+            return Promise.resolve();
+        }
+    };
+};
+
+StorageManager.registerBackend("local", {
+    saveZip: (saveName, zip) => StorageManager.saveToLocalFile(saveName, zip),
+    loadZip: saveName => StorageManager.loadFromLocalFile(saveName),
+    exists: saveName => StorageManager.localFileExists(saveName),
+    remove: saveName => StorageManager.removeLocalFile(saveName)
+});
+
+StorageManager.registerBackend("forage", {
+    saveZip: (saveName, zip) => StorageManager.saveToForage(saveName, zip),
+    loadZip: saveName => StorageManager.loadFromForage(saveName),
+    exists: saveName => StorageManager.forageExists(saveName),
+    remove: saveName => StorageManager.removeForage(saveName),
+    prepare: () => StorageManager.updateForageKeys()
+});
+
+StorageManager.registerBackend("memory", StorageManager.makeMemoryBackend());
+
+StorageManager.downloadZip = function(filename, zip) {
+    const bytes = new Uint8Array(zip.length);
+    for (let i = 0; i < zip.length; i++) {
+        bytes[i] = zip.charCodeAt(i);
+    }
+    const blob = new Blob([bytes], { type: "application/octet-stream" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url));
+};
+
+StorageManager.selectZipFile = function(accept) {
+    // [Note] Browsers do not reliably report a cancelled file dialog,
+    //   so the returned promise may never settle.
+    return new Promise((resolve, reject) => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = accept;
+        input.onchange = () => {
+            const file = input.files[0];
+            if (file) {
+                this.readZipFile(file).then(resolve, reject);
+            } else {
+                reject(new Error("No file selected"));
+            }
+        };
+        input.click();
+    });
+};
+
+StorageManager.readZipFile = function(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const bytes = new Uint8Array(reader.result);
+            let zip = "";
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                const chunk = bytes.subarray(i, i + 0x8000);
+                zip += String.fromCharCode(...chunk);
+            }
+            resolve(zip);
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+};
+
 //-----------------------------------------------------------------------------
 // FontManager
 //
@@ -813,6 +1407,12 @@ FontManager.isReady = function() {
 };
 
 FontManager.startLoading = function(family, url) {
+    if (SceneManager.isHeadless()) {
+        // Nothing is drawn, so the font is not loaded.
+        this._urls[family] = url;
+        this._states[family] = "loaded";
+        return;
+    }
     const source = "url(" + url + ")";
     const font = new FontFace(family, source);
     this._urls[family] = url;
@@ -1581,7 +2181,31 @@ TextManager.command = function(commandId) {
 };
 
 TextManager.message = function(messageId) {
-    return $dataSystem.terms.messages[messageId] || "";
+    const messages = $dataSystem.terms.messages;
+    return messages[messageId] || this._defaultMessages[messageId] || "";
+};
+
+// Terms that are not yet editable in the database.
+TextManager._defaultMessages = {
+    exportSavefile: "Export",
+    importSavefile: "Import",
+    transferHint: "%1 (Shift: Export/Import)",
+    overwriteSavefile: "Overwrite",
+    overwriteConfirm: "Replace the save in %1?",
+    restoreBackup: "Restore Previous Version",
+    controls: "Controls",
+    resetControls: "Reset to Default",
+    controlsHelp: "Select a key to change. Shift clears it.",
+    bindingRequired: "%1 must keep a key.",
+    pressKey: "Press a key or button...",
+    bindingConflict: "That would leave %1 without a key.",
+    rumble: "Rumble",
+    bestiary: "Bestiary",
+    bestiaryDefeated: "Defeated",
+    bestiaryElements: "Elements",
+    bestiaryDrops: "Drops",
+    bestiaryStates: "States",
+    bestiaryUnknown: "???"
 };
 
 TextManager.getter = function(method, param) {
@@ -1638,6 +2262,13 @@ Object.defineProperties(TextManager, {
     alwaysDash: TextManager.getter("message", "alwaysDash"),
     commandRemember: TextManager.getter("message", "commandRemember"),
     touchUI: TextManager.getter("message", "touchUI"),
+    rumble: TextManager.getter("message", "rumble"),
+    bestiary: TextManager.getter("message", "bestiary"),
+    bestiaryDefeated: TextManager.getter("message", "bestiaryDefeated"),
+    bestiaryElements: TextManager.getter("message", "bestiaryElements"),
+    bestiaryDrops: TextManager.getter("message", "bestiaryDrops"),
+    bestiaryStates: TextManager.getter("message", "bestiaryStates"),
+    bestiaryUnknown: TextManager.getter("message", "bestiaryUnknown"),
     bgmVolume: TextManager.getter("message", "bgmVolume"),
     bgsVolume: TextManager.getter("message", "bgsVolume"),
     meVolume: TextManager.getter("message", "meVolume"),
@@ -1649,6 +2280,18 @@ Object.defineProperties(TextManager, {
     loadMessage: TextManager.getter("message", "loadMessage"),
     file: TextManager.getter("message", "file"),
     autosave: TextManager.getter("message", "autosave"),
+    exportSavefile: TextManager.getter("message", "exportSavefile"),
+    importSavefile: TextManager.getter("message", "importSavefile"),
+    transferHint: TextManager.getter("message", "transferHint"),
+    overwriteSavefile: TextManager.getter("message", "overwriteSavefile"),
+    overwriteConfirm: TextManager.getter("message", "overwriteConfirm"),
+    restoreBackup: TextManager.getter("message", "restoreBackup"),
+    controls: TextManager.getter("message", "controls"),
+    resetControls: TextManager.getter("message", "resetControls"),
+    controlsHelp: TextManager.getter("message", "controlsHelp"),
+    pressKey: TextManager.getter("message", "pressKey"),
+    bindingConflict: TextManager.getter("message", "bindingConflict"),
+    bindingRequired: TextManager.getter("message", "bindingRequired"),
     partyName: TextManager.getter("message", "partyName"),
     emerge: TextManager.getter("message", "emerge"),
     preemptive: TextManager.getter("message", "preemptive"),
@@ -1777,6 +2420,10 @@ ColorManager.tpCostColor = function() {
     return this.textColor(29);
 };
 
+ColorManager.cooldownColor = function() {
+    return this.textColor(17);
+};
+
 ColorManager.pendingColor = function() {
     return this._windowskin.getPixel(120, 120);
 };
@@ -1864,6 +2511,8 @@ SceneManager._previousClass = null;
 SceneManager._backgroundBitmap = null;
 SceneManager._smoothDeltaTime = 1;
 SceneManager._elapsedTime = 0;
+SceneManager._headless = false;
+SceneManager._rootDirectory = "";
 
 SceneManager.run = function(sceneClass) {
     try {
@@ -1875,6 +2524,55 @@ SceneManager.run = function(sceneClass) {
     }
 };
 
+// [Note] The headless mode is for automated tests. Graphics, WebAudio and
+//   Video run as no-op stand-ins and the game loop does not start, so the
+//   test drives it by calling step() or stepUntil(). The data files are read
+//   from rootDirectory, the directory that contains index.html.
+SceneManager.runHeadless = function(sceneClass, rootDirectory) {
+    this._headless = true;
+    this._rootDirectory = rootDirectory;
+    this.initialize();
+    this.goto(sceneClass);
+};
+
+SceneManager.isHeadless = function() {
+    return this._headless;
+};
+
+SceneManager.rootDirectory = function() {
+    return this._rootDirectory;
+};
+
+SceneManager.step = function(frames) {
+    const n = frames || 1;
+    for (let i = 0; i < n; i++) {
+        this.updateMain();
+    }
+};
+
+SceneManager.stepUntil = function(condition, maxFrames) {
+    // Steps one frame per task so that pending loads can complete.
+    const limit = maxFrames || 3600;
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        const next = () => {
+            try {
+                if (condition()) {
+                    resolve(count);
+                } else if (count++ >= limit) {
+                    reject(new Error("Condition not met in " + limit));
+                } else {
+                    this.step();
+                    setTimeout(next);
+                }
+            } catch (e) {
+                reject(e);
+            }
+        };
+        next();
+    });
+};
+
 SceneManager.initialize = function() {
     this.checkBrowser();
     this.checkPluginErrors();
@@ -1886,6 +2584,9 @@ SceneManager.initialize = function() {
 };
 
 SceneManager.checkBrowser = function() {
+    if (this._headless) {
+        return;
+    }
     if (!Utils.canUseWebGL()) {
         throw new Error("Your browser does not support WebGL.");
     }
@@ -1905,26 +2606,30 @@ SceneManager.checkPluginErrors = function() {
 };
 
 SceneManager.initGraphics = function() {
-    if (!Graphics.initialize()) {
+    if (!Graphics.initialize(this._headless)) {
         throw new Error("Failed to initialize graphics.");
     }
     Graphics.setTickHandler(this.update.bind(this));
 };
 
 SceneManager.initAudio = function() {
-    WebAudio.initialize();
+    WebAudio.initialize(this._headless);
 };
 
 SceneManager.initVideo = function() {
-    Video.initialize(Graphics.width, Graphics.height);
+    Video.initialize(Graphics.width, Graphics.height, this._headless);
 };
 
 SceneManager.initInput = function() {
-    Input.initialize();
-    TouchInput.initialize();
+    Input.initialize(this._headless);
+    TouchInput.initialize(this._headless);
 };
 
 SceneManager.setupEventHandlers = function() {
+    if (this._headless) {
+        // Errors are thrown to the caller of step() instead.
+        return;
+    }
     window.addEventListener("error", this.onError.bind(this));
     window.addEventListener("unhandledrejection", this.onReject.bind(this));
     window.addEventListener("unload", this.onUnload.bind(this));
@@ -2064,7 +2769,9 @@ SceneManager.updateFrameCount = function() {
 };
 
 SceneManager.updateInputData = function() {
+    InputRecorder.update();
     Input.update();
+    Input.updateRumble();
     TouchInput.update();
 };
 
@@ -2107,6 +2814,9 @@ SceneManager.updateScene = function() {
 };
 
 SceneManager.isGameActive = function() {
+    if (this._headless) {
+        return true;
+    }
     // [Note] We use "window.top" to support an iframe.
     try {
         return window.top.document.hasFocus();
@@ -2149,6 +2859,10 @@ SceneManager.isCurrentSceneBusy = function() {
     return this._scene && this._scene.isBusy();
 };
 
+SceneManager.isCurrentScene = function(sceneClass) {
+    return !!this._scene && this._scene.constructor === sceneClass;
+};
+
 SceneManager.isNextScene = function(sceneClass) {
     return this._nextScene && this._nextScene.constructor === sceneClass;
 };
@@ -2257,6 +2971,7 @@ BattleManager.initMembers = function() {
     this._escaped = false;
     this._rewards = {};
     this._tpbNeedsPartyCommand = true;
+    this._simulation = false;
 };
 
 BattleManager.isTpb = function() {
@@ -2287,9 +3002,19 @@ BattleManager.setSpriteset = function(spriteset) {
     this._spriteset = spriteset;
 };
 
+// A simulated battle plays no sound and has every actor on auto battle.
+BattleManager.isSimulation = function() {
+    return !!this._simulation;
+};
+
+BattleManager.setSimulation = function(simulation) {
+    this._simulation = simulation;
+};
+
 BattleManager.onEncounter = function() {
-    this._preemptive = Math.random() < this.ratePreemptive();
-    this._surprise = Math.random() < this.rateSurprise() && !this._preemptive;
+    this._preemptive = $gameRandom.random() < this.ratePreemptive();
+    this._surprise =
+        $gameRandom.random() < this.rateSurprise() && !this._preemptive;
 };
 
 BattleManager.ratePreemptive = function() {
@@ -2311,14 +3036,23 @@ BattleManager.playBattleBgm = function() {
 };
 
 BattleManager.playVictoryMe = function() {
+    if (this.isSimulation()) {
+        return;
+    }
     AudioManager.playMe($gameSystem.victoryMe());
 };
 
 BattleManager.playDefeatMe = function() {
+    if (this.isSimulation()) {
+        return;
+    }
     AudioManager.playMe($gameSystem.defeatMe());
 };
 
 BattleManager.replayBgmAndBgs = function() {
+    if (this.isSimulation()) {
+        return;
+    }
     if (this._mapBgm) {
         AudioManager.replayBgm(this._mapBgm);
     } else {
@@ -2720,6 +3454,48 @@ BattleManager.allBattleMembers = function() {
     return $gameParty.battleMembers().concat($gameTroop.members());
 };
 
+// Returns the battlers in the order they are expected to act. The item is
+// previewed as the action of the actor being input.
+BattleManager.predictActionOrder = function(item) {
+    const acting = [this._subject, ...this._actionBattlers].filter(
+        battler => battler && battler.isBattleMember() && battler.isAlive()
+    );
+    if (this.isTpb()) {
+        const waiting = this.allBattleMembers().filter(
+            battler => !acting.includes(battler) && battler.canMove()
+        );
+        const times = new Map();
+        for (const battler of waiting) {
+            const preview = battler === this._currentActor ? item : null;
+            times.set(battler, battler.tpbExpectedTime(preview));
+        }
+        waiting.sort((a, b) => times.get(a) - times.get(b));
+        return acting.concat(waiting);
+    } else if (this.isInTurn() || this._phase === "action") {
+        return acting;
+    } else {
+        return this.predictNextTurnOrder(item);
+    }
+};
+
+BattleManager.predictNextTurnOrder = function(item) {
+    const battlers = [];
+    if (!this._surprise) {
+        battlers.push(...$gameParty.battleMembers());
+    }
+    if (!this._preemptive) {
+        battlers.push(...$gameTroop.members());
+    }
+    const speeds = new Map();
+    const movables = battlers.filter(battler => battler.canMove());
+    for (const battler of movables) {
+        const preview = battler === this._currentActor ? item : null;
+        speeds.set(battler, battler.expectedSpeed(preview));
+    }
+    movables.sort((a, b) => speeds.get(b) - speeds.get(a));
+    return movables;
+};
+
 BattleManager.makeActionOrders = function() {
     const battlers = [];
     if (!this._surprise) {
@@ -2768,9 +3544,9 @@ BattleManager.endAction = function() {
 
 BattleManager.invokeAction = function(subject, target) {
     this._logWindow.push("pushBaseLine");
-    if (Math.random() < this._action.itemCnt(target)) {
+    if ($gameRandom.random() < this._action.itemCnt(target)) {
         this.invokeCounterAttack(subject, target);
-    } else if (Math.random() < this._action.itemMrf(target)) {
+    } else if ($gameRandom.random() < this._action.itemMrf(target)) {
         this.invokeMagicReflection(subject, target);
     } else {
         this.invokeNormalAction(subject, target);
@@ -2811,6 +3587,25 @@ BattleManager.applySubstitute = function(target) {
     return target;
 };
 
+// Rumble hooks. Replace these to change the feedback of battle events.
+BattleManager.onCritical = function(/*target*/) {
+    Input.startRumble("critical");
+};
+
+BattleManager.onActorDamage = function(/*actor*/) {
+    Input.startRumble("actorDamage");
+};
+
+BattleManager.onScreenShake = function(power, speed, duration) {
+    if (this.isSimulation()) {
+        return;
+    }
+    const magnitude = (power / 9).clamp(0, 1);
+    Input.startRumble([
+        { strong: magnitude, weak: magnitude, frames: duration }
+    ]);
+};
+
 BattleManager.checkSubstitute = function(target) {
     return target.isDying() && !this._action.isCertainHit();
 };
@@ -2879,7 +3674,8 @@ BattleManager.processVictory = function() {
 BattleManager.processEscape = function() {
     $gameParty.performEscape();
     SoundManager.playEscape();
-    const success = this._preemptive || Math.random() < this._escapeRatio;
+    const success =
+        this._preemptive || $gameRandom.random() < this._escapeRatio;
     if (success) {
         this.onEscapeSuccess();
     } else {
@@ -2920,7 +3716,7 @@ BattleManager.processDefeat = function() {
     this.playDefeatMe();
     if (this._canLose) {
         this.replayBgmAndBgs();
-    } else {
+    } else if (!this.isSimulation()) {
         AudioManager.stopBgm();
     }
     this.endBattle(2);
@@ -3038,6 +3834,346 @@ BattleManager.gainDropItems = function() {
     }
 };
 
+//-----------------------------------------------------------------------------
+// BattleSimulator
+//
+// The static class that runs battles without a scene to measure the balance.
+// Actors always fight on auto battle, which also considers the party's items
+// in a simulation. Troop events are run, but messages are skipped and choices
+// are left unanswered.
+
+function BattleSimulator() {
+    throw new Error("This is a static class");
+}
+
+BattleSimulator._running = false;
+
+// options: {
+//   party: [{ actorId, level, equips: [itemId per slot] }] or actor IDs,
+//   troopId, count, seed, items: { itemId: count }, maxTurns
+// }
+BattleSimulator.run = function(options) {
+    if (!DataManager.isDatabaseLoaded()) {
+        throw new Error("The database is not loaded.");
+    }
+    if (this._running || $gameParty.inBattle()) {
+        throw new Error("A battle is already in progress.");
+    }
+    const count = options.count || 1;
+    const saved = this.saveGameObjects();
+    const report = this.makeReport(options, count);
+    const log = new BattleSimulatorLog();
+    this._running = true;
+    try {
+        for (let i = 0; i < count; i++) {
+            this.runOnce(options, i, log, report);
+        }
+    } finally {
+        this._running = false;
+        BattleManager.initMembers();
+        this.restoreGameObjects(saved);
+    }
+    this.finishReport(report, log);
+    return report;
+};
+
+BattleSimulator.isRunning = function() {
+    return this._running;
+};
+
+BattleSimulator.saveGameObjects = function() {
+    const saved = {};
+    for (const name of Object.keys(window)) {
+        if (name.startsWith("$game")) {
+            saved[name] = window[name];
+        }
+    }
+    return saved;
+};
+
+BattleSimulator.restoreGameObjects = function(saved) {
+    for (const name of Object.keys(saved)) {
+        window[name] = saved[name];
+    }
+};
+
+BattleSimulator.makeReport = function(options, count) {
+    return {
+        troopId: options.troopId,
+        seed: options.seed === undefined ? null : options.seed,
+        runs: count,
+        wins: 0,
+        defeats: 0,
+        escapes: 0,
+        timeouts: 0,
+        winRate: 0,
+        averageTurns: 0,
+        dealt: [],
+        taken: [],
+        items: []
+    };
+};
+
+BattleSimulator.runOnce = function(options, index, log, report) {
+    DataManager.createGameObjects();
+    if (options.seed !== undefined) {
+        $gameRandom.setSeed(options.seed + index);
+    }
+    this.setupParty(options);
+    let result = -1;
+    BattleManager.setup(options.troopId, false, true);
+    BattleManager.setSimulation(true);
+    BattleManager.setEventCallback(n => (result = n));
+    BattleManager.setLogWindow(log);
+    BattleManager.setSpriteset(log);
+    BattleManager.startBattle();
+    const maxTurns = options.maxTurns || 100;
+    const maxFrames = maxTurns * 600;
+    for (let frame = 0; frame < maxFrames; frame++) {
+        this.updateBattle();
+        if (BattleManager.isBattleEnd()) {
+            break;
+        }
+        if ($gameTroop.turnCount() > maxTurns) {
+            break;
+        }
+    }
+    this.countResult(report, result);
+    report.averageTurns += $gameTroop.turnCount();
+};
+
+BattleSimulator.setupParty = function(options) {
+    // The starting members skip missing actors like a new game does.
+    const party = options.party || $dataSystem.partyMembers;
+    for (const member of party) {
+        const spec = typeof member === "number" ? { actorId: member } : member;
+        const actor = $gameActors.actor(spec.actorId);
+        if (!actor && !options.party) {
+            continue;
+        } else if (!actor) {
+            throw new Error("Actor %1 does not exist.".format(spec.actorId));
+        }
+        if (spec.level) {
+            actor.changeLevel(spec.level, false);
+        }
+        if (spec.equips) {
+            actor.initEquips(spec.equips);
+        }
+        actor.recoverAll();
+        $gameParty.addActor(actor.actorId());
+    }
+    const items = options.items || {};
+    for (const itemId of Object.keys(items)) {
+        $gameParty.gainItem($dataItems[itemId], items[itemId]);
+    }
+};
+
+BattleSimulator.updateBattle = function() {
+    if ($gameMessage.isBusy()) {
+        $gameMessage.clear();
+    }
+    $gameTimer.update(true);
+    $gameScreen.update();
+    BattleManager.update(true);
+};
+
+BattleSimulator.countResult = function(report, result) {
+    switch (result) {
+        case 0:
+            report.wins++;
+            break;
+        case 1:
+            report.escapes++;
+            break;
+        case 2:
+            report.defeats++;
+            break;
+        default:
+            report.timeouts++;
+            break;
+    }
+};
+
+BattleSimulator.finishReport = function(report, log) {
+    // The turns are summed over the runs until here.
+    const runs = report.runs;
+    report.winRate = runs > 0 ? report.wins / runs : 0;
+    report.averageTurns = runs > 0 ? report.averageTurns / runs : 0;
+    report.dealt = log.records("party");
+    report.taken = log.records("troop");
+    report.items = report.dealt
+        .filter(record => record.type === "item")
+        .map(record => ({
+            id: record.id,
+            name: record.name,
+            uses: record.uses
+        }));
+};
+
+BattleSimulator.toJson = function(report) {
+    return JSON.stringify(report, null, 2);
+};
+
+BattleSimulator.toCsv = function(report) {
+    const lines = ["key,value"];
+    for (const key of Object.keys(report)) {
+        if (!Array.isArray(report[key])) {
+            lines.push([key, report[key]].map(this.csvField).join(","));
+        }
+    }
+    lines.push("");
+    lines.push("side,type,id,name,uses,damage,healing,mpDamage,mpHealing");
+    const sides = { dealt: report.dealt, taken: report.taken };
+    for (const side of Object.keys(sides)) {
+        for (const r of sides[side]) {
+            const fields = [side, r.type, r.id, r.name];
+            fields.push(r.uses, r.damage, r.healing, r.mpDamage, r.mpHealing);
+            lines.push(fields.map(this.csvField).join(","));
+        }
+    }
+    return lines.join("\n") + "\n";
+};
+
+BattleSimulator.csvField = function(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (/[",\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    } else {
+        return text;
+    }
+};
+
+// The format is chosen by the extension of the path, ".csv" or else JSON.
+// tools/simulate-battle.js runs this from the command line.
+BattleSimulator.writeReport = function(report, path) {
+    if (!StorageManager.isLocalMode() && !SceneManager.isHeadless()) {
+        throw new Error("Reports can only be written in the local mode.");
+    }
+    const isCsv = path.toLowerCase().endsWith(".csv");
+    const data = isCsv ? this.toCsv(report) : this.toJson(report);
+    StorageManager.fsWriteFile(path, data);
+};
+
+//-----------------------------------------------------------------------------
+// BattleSimulatorLog
+//
+// The stand-in for the battle log window and the spriteset during a battle
+// simulation. It is never busy and records the results of each action.
+
+function BattleSimulatorLog() {
+    this.initialize(...arguments);
+}
+
+BattleSimulatorLog.prototype.initialize = function() {
+    this._records = {};
+    this._item = null;
+    this._counter = false;
+};
+
+BattleSimulatorLog.prototype.isBusy = function() {
+    return false;
+};
+
+BattleSimulatorLog.prototype.records = function(side) {
+    return Object.values(this._records)
+        .filter(record => record.side === side)
+        .map(record => ({
+            type: record.type,
+            id: record.id,
+            name: record.name,
+            uses: record.uses,
+            damage: record.damage,
+            healing: record.healing,
+            mpDamage: record.mpDamage,
+            mpHealing: record.mpHealing
+        }));
+};
+
+BattleSimulatorLog.prototype.record = function(battler, item) {
+    const side = battler.isActor() ? "party" : "troop";
+    const type = DataManager.isSkill(item) ? "skill" : "item";
+    const key = [side, type, item.id].join(":");
+    if (!this._records[key]) {
+        this._records[key] = {
+            side: side,
+            type: type,
+            id: item.id,
+            name: item.name,
+            uses: 0,
+            damage: 0,
+            healing: 0,
+            mpDamage: 0,
+            mpHealing: 0
+        };
+    }
+    return this._records[key];
+};
+
+BattleSimulatorLog.prototype.startAction = function(subject, action) {
+    this._item = action.item();
+    this.record(subject, this._item).uses++;
+};
+
+BattleSimulatorLog.prototype.displayCounter = function(/*target*/) {
+    this._counter = true;
+};
+
+BattleSimulatorLog.prototype.displayActionResults = function(subject, target) {
+    const item = this._counter
+        ? $dataSkills[subject.attackSkillId()]
+        : this._item;
+    const result = target.result();
+    this._counter = false;
+    if (item && result.used) {
+        const record = this.record(subject, item);
+        record.damage += Math.max(result.hpDamage, 0);
+        record.healing += Math.max(-result.hpDamage, 0);
+        record.mpDamage += Math.max(result.mpDamage, 0);
+        record.mpHealing += Math.max(-result.mpDamage, 0);
+        if (result.drain) {
+            // The drained amount also heals the subject.
+            record.healing += Math.max(result.hpDamage, 0);
+            record.mpHealing += Math.max(result.mpDamage, 0);
+        }
+    }
+};
+
+BattleSimulatorLog.prototype.endAction = function(/*subject*/) {
+    this._item = null;
+};
+
+BattleSimulatorLog.prototype.clear = function() {
+    //
+};
+
+BattleSimulatorLog.prototype.push = function() {
+    //
+};
+
+BattleSimulatorLog.prototype.startTurn = function() {
+    //
+};
+
+BattleSimulatorLog.prototype.displayReflection = function(/*target*/) {
+    //
+};
+
+BattleSimulatorLog.prototype.displaySubstitute = function(/*sub, target*/) {
+    //
+};
+
+BattleSimulatorLog.prototype.displayAutoAffectedStatus = function(/*target*/) {
+    //
+};
+
+BattleSimulatorLog.prototype.displayCurrentState = function(/*subject*/) {
+    //
+};
+
+BattleSimulatorLog.prototype.displayRegeneration = function(/*subject*/) {
+    //
+};
+
 //-----------------------------------------------------------------------------
 // PluginManager
 //
@@ -465,6 +465,134 @@ Game_Timer.prototype.onExpire = function() {
     BattleManager.abort();
 };
 
+//-----------------------------------------------------------------------------
+// Game_Random
+//
+// The game object class for the random number source of the game logic.
+// Its state is saved with the game, so results are reproducible from a seed.
+
+function Game_Random() {
+    this.initialize(...arguments);
+}
+
+Game_Random.prototype.initialize = function(seed) {
+    if (seed === undefined) {
+        seed = Math.floor(Math.random() * 0x100000000);
+    }
+    this.setSeed(seed);
+};
+
+Game_Random.prototype.setSeed = function(seed) {
+    this._seed = seed >>> 0;
+    this._state = this._seed;
+};
+
+Game_Random.prototype.seed = function() {
+    return this._seed;
+};
+
+Game_Random.prototype.random = function() {
+    const [state, value] = Utils.mulberry32(this._state);
+    this._state = state;
+    return value;
+};
+
+Game_Random.prototype.randomInt = function(max) {
+    return Math.floor(max * this.random());
+};
+
+//-----------------------------------------------------------------------------
+// Game_Bestiary
+//
+// The game object class for the enemies the party has met. Their resistances
+// and drops are revealed as they are observed in battle.
+
+function Game_Bestiary() {
+    this.initialize(...arguments);
+}
+
+Game_Bestiary.prototype.initialize = function() {
+    this._enemies = {};
+};
+
+Game_Bestiary.prototype.entry = function(enemyId) {
+    return this._enemies[enemyId] || null;
+};
+
+Game_Bestiary.prototype.encounter = function(enemyId) {
+    if (!this._enemies[enemyId]) {
+        this._enemies[enemyId] = {
+            defeated: 0,
+            elements: [],
+            states: [],
+            drops: []
+        };
+    }
+    return this._enemies[enemyId];
+};
+
+Game_Bestiary.prototype.isEncountered = function(enemyId) {
+    return !!this.entry(enemyId);
+};
+
+Game_Bestiary.prototype.enemyIds = function() {
+    return Object.keys(this._enemies)
+        .map(Number)
+        .filter(enemyId => $dataEnemies[enemyId])
+        .sort((a, b) => a - b);
+};
+
+Game_Bestiary.prototype.onDefeat = function(enemyId) {
+    this.encounter(enemyId).defeated++;
+};
+
+Game_Bestiary.prototype.defeatCount = function(enemyId) {
+    const entry = this.entry(enemyId);
+    return entry ? entry.defeated : 0;
+};
+
+Game_Bestiary.prototype.reveal = function(enemyId, kind, id) {
+    const list = this.encounter(enemyId)[kind];
+    if (!list.includes(id)) {
+        list.push(id);
+    }
+};
+
+Game_Bestiary.prototype.isRevealed = function(enemyId, kind, id) {
+    const entry = this.entry(enemyId);
+    return !!entry && entry[kind].includes(id);
+};
+
+Game_Bestiary.prototype.revealElement = function(enemyId, elementId) {
+    this.reveal(enemyId, "elements", elementId);
+};
+
+Game_Bestiary.prototype.isElementRevealed = function(enemyId, elementId) {
+    return this.isRevealed(enemyId, "elements", elementId);
+};
+
+Game_Bestiary.prototype.revealState = function(enemyId, stateId) {
+    this.reveal(enemyId, "states", stateId);
+};
+
+Game_Bestiary.prototype.isStateRevealed = function(enemyId, stateId) {
+    return this.isRevealed(enemyId, "states", stateId);
+};
+
+Game_Bestiary.prototype.revealedStateIds = function(enemyId) {
+    const entry = this.entry(enemyId);
+    return entry ? entry.states.filter(stateId => $dataStates[stateId]) : [];
+};
+
+// Drops are identified by their index in the enemy's drop items.
+Game_Bestiary.prototype.revealDrop = function(enemyId, index) {
+    this.reveal(enemyId, "drops", index);
+};
+
+Game_Bestiary.prototype.isDropRevealed = function(enemyId, index) {
+    return this.isRevealed(enemyId, "drops", index);
+};
+
 //-----------------------------------------------------------------------------
 // Game_Message
 //
@@ -931,6 +1059,7 @@ Game_Screen.prototype.startShake = function(power, speed, duration) {
     this._shakePower = power;
     this._shakeSpeed = speed;
     this._shakeDuration = duration;
+    BattleManager.onScreenShake(power, speed, duration);
 };
 
 Game_Screen.prototype.startZoom = function(x, y, scale, duration) {
@@ -1394,6 +1523,492 @@ Game_Item.prototype.setEquip = function(isWeapon, itemId) {
     this._itemId = itemId;
 };
 
+//-----------------------------------------------------------------------------
+// Game_DamageFormula
+//
+// A damage formula compiled once from its source text. Formulas are a small
+// expression language over a, b, v and Math, so they cannot reach anything
+// else in the game.
+
+function Game_DamageFormula() {
+    this.initialize(...arguments);
+}
+
+Game_DamageFormula._cache = new Map();
+
+// Battler methods that only read state, and so may be called from formulas.
+Game_DamageFormula.BATTLER_METHODS = [
+    "param",
+    "xparam",
+    "sparam",
+    "paramRate",
+    "paramBuffRate",
+    "elementRate",
+    "debuffRate",
+    "stateRate",
+    "isStateAffected",
+    "isStateResist",
+    "isBuffAffected",
+    "isDebuffAffected",
+    "isActor",
+    "isEnemy",
+    "isAlive",
+    "isDead",
+    "isDying",
+    "isGuard",
+    "hpRate",
+    "mpRate",
+    "tpRate",
+    "skillMpCost",
+    "skillTpCost",
+    "hasWeapon",
+    "hasArmor",
+    "isLearnedSkill",
+    "isClass",
+    "isEquipped"
+];
+
+Game_DamageFormula.math = function() {
+    if (!this._math) {
+        this._math = {};
+        for (const name of Object.getOwnPropertyNames(Math)) {
+            if (["function", "number"].includes(typeof Math[name])) {
+                this._math[name] = Math[name];
+            }
+        }
+        // Randomness goes through the saved game random source.
+        this._math.random = () => $gameRandom.random();
+        this._math.randomInt = max => $gameRandom.randomInt(max);
+    }
+    return this._math;
+};
+
+Game_DamageFormula.get = function(source) {
+    source = String(source);
+    let formula = this._cache.get(source);
+    if (!formula) {
+        formula = new Game_DamageFormula(source);
+        this._cache.set(source, formula);
+    }
+    return formula;
+};
+
+Game_DamageFormula.prototype.initialize = function(source) {
+    this._source = source;
+    this._error = "";
+    this._evaluator = null;
+    try {
+        this._tokens = this.tokenize(source);
+        this._index = 0;
+        const node = this.parseExpression();
+        if (this.peek()) {
+            this.fail(this.peek());
+        }
+        this._evaluator = this.build(node);
+    } catch (e) {
+        this._error = e.message;
+    }
+    this._tokens = null;
+};
+
+Game_DamageFormula.prototype.source = function() {
+    return this._source;
+};
+
+Game_DamageFormula.prototype.error = function() {
+    return this._error;
+};
+
+Game_DamageFormula.prototype.isValid = function() {
+    return !!this._evaluator;
+};
+
+Game_DamageFormula.prototype.evaluate = function(a, b, v) {
+    if (this._evaluator) {
+        try {
+            return this._evaluator(a, b, v);
+        } catch (e) {
+            return 0;
+        }
+    }
+    return 0;
+};
+
+// The patterns of a number, a name and an operator, captured in this order.
+Game_DamageFormula.TOKEN_PATTERNS = [
+    /(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)/,
+    /([A-Za-z_$][\w$]*)/,
+    /(===|!==|==|!=|<=|>=|&&|\|\||\*\*|[-+*/%<>!?:().,[\]])/
+];
+
+Game_DamageFormula.prototype.tokenize = function(source) {
+    const patterns = Game_DamageFormula.TOKEN_PATTERNS.map(p => p.source);
+    const regExp = new RegExp("\\s*(?:" + patterns.join("|") + ")", "iy");
+    const tokens = [];
+    for (;;) {
+        const start = regExp.lastIndex;
+        const match = regExp.exec(source);
+        if (!match) {
+            if (source.slice(start).trim()) {
+                const column = start + source.slice(start).search(/\S/) + 1;
+                throw new Error(
+                    'Unexpected "%1" at column %2'.format(
+                        source[column - 1],
+                        column
+                    )
+                );
+            }
+            return tokens;
+        }
+        const column = match.index + match[0].search(/\S/) + 1;
+        if (match[1]) {
+            tokens.push({ type: "number", value: Number(match[1]), column });
+        } else if (match[2]) {
+            tokens.push({ type: "name", value: match[2], column });
+        } else {
+            tokens.push({ type: "op", value: match[3], column });
+        }
+    }
+};
+
+Game_DamageFormula.prototype.peek = function() {
+    return this._tokens[this._index];
+};
+
+Game_DamageFormula.prototype.isOp = function(...ops) {
+    const token = this.peek();
+    return !!token && token.type === "op" && ops.includes(token.value);
+};
+
+Game_DamageFormula.prototype.next = function() {
+    return this._tokens[this._index++];
+};
+
+Game_DamageFormula.prototype.expect = function(op) {
+    const token = this.next();
+    if (!token || token.type !== "op" || token.value !== op) {
+        this.fail(token, op);
+    }
+    return token;
+};
+
+Game_DamageFormula.prototype.fail = function(token, expected) {
+    const found = token ? '"' + token.value + '"' : "end of formula";
+    const where = token ? " at column " + token.column : "";
+    const wanted = expected ? ' (expected "' + expected + '")' : "";
+    throw new Error("Unexpected " + found + where + wanted);
+};
+
+Game_DamageFormula.BINARY_LEVELS = [
+    ["||"],
+    ["&&"],
+    ["===", "!==", "==", "!="],
+    ["<", "<=", ">", ">="],
+    ["+", "-"],
+    ["*", "/", "%"]
+];
+
+Game_DamageFormula.prototype.parseExpression = function() {
+    const test = this.parseBinary(0);
+    if (this.isOp("?")) {
+        this.next();
+        const yes = this.parseExpression();
+        this.expect(":");
+        const no = this.parseExpression();
+        return { type: "conditional", test, yes, no };
+    }
+    return test;
+};
+
+Game_DamageFormula.prototype.parseBinary = function(level) {
+    const levels = Game_DamageFormula.BINARY_LEVELS;
+    if (level >= levels.length) {
+        return this.parsePower();
+    }
+    let left = this.parseBinary(level + 1);
+    while (this.isOp(...levels[level])) {
+        const op = this.next().value;
+        const right = this.parseBinary(level + 1);
+        left = { type: "binary", op, left, right };
+    }
+    return left;
+};
+
+Game_DamageFormula.prototype.parsePower = function() {
+    const first = this.peek();
+    const isUnary = this.isOp("-", "+", "!");
+    const base = this.parseUnary();
+    if (this.isOp("**")) {
+        if (isUnary) {
+            // As in JavaScript, "-2 ** 2" must be written "(-2) ** 2".
+            const message =
+                'Unary "%1" before "**" needs parentheses, at column %2';
+            throw new Error(message.format(first.value, first.column));
+        }
+        this.next();
+        const exponent = this.parsePower();
+        return { type: "binary", op: "**", left: base, right: exponent };
+    }
+    return base;
+};
+
+Game_DamageFormula.prototype.parseUnary = function() {
+    if (this.isOp("-", "+", "!")) {
+        const op = this.next().value;
+        return { type: "unary", op, value: this.parseUnary() };
+    }
+    return this.parsePostfix();
+};
+
+Game_DamageFormula.prototype.parsePostfix = function() {
+    let node = this.parsePrimary();
+    for (;;) {
+        if (this.isOp(".")) {
+            this.next();
+            const token = this.next();
+            if (!token || token.type !== "name") {
+                this.fail(token);
+            }
+            node = { type: "member", object: node, name: token.value, token };
+        } else if (this.isOp("[")) {
+            const token = this.next();
+            const index = this.parseExpression();
+            this.expect("]");
+            node = { type: "index", object: node, index, token };
+        } else if (this.isOp("(")) {
+            const token = this.next();
+            const args = [];
+            while (!this.isOp(")")) {
+                args.push(this.parseExpression());
+                if (!this.isOp(")")) {
+                    this.expect(",");
+                }
+            }
+            this.next();
+            node = { type: "call", callee: node, args, token };
+        } else {
+            return node;
+        }
+    }
+};
+
+Game_DamageFormula.prototype.parsePrimary = function() {
+    const token = this.next();
+    if (!token) {
+        this.fail(token);
+    }
+    if (token.type === "number") {
+        return { type: "number", value: token.value };
+    }
+    if (token.type === "name") {
+        return { type: "name", name: token.value, token };
+    }
+    if (token.value === "(") {
+        const node = this.parseExpression();
+        this.expect(")");
+        return node;
+    }
+    return this.fail(token);
+};
+
+Game_DamageFormula.prototype.build = function(node) {
+    switch (node.type) {
+        case "number":
+            return () => node.value;
+        case "name":
+            return this.buildName(node);
+        case "member":
+            return this.buildMember(node);
+        case "index":
+            return this.buildIndex(node);
+        case "call":
+            return this.buildCall(node);
+        case "unary":
+            return this.buildUnary(node);
+        case "binary":
+            return this.buildBinary(node);
+        case "conditional":
+            return this.buildConditional(node);
+    }
+    throw new Error("Unknown expression");
+};
+
+Game_DamageFormula.prototype.buildName = function(node) {
+    switch (node.name) {
+        case "a":
+            return a => a;
+        case "b":
+            return (a, b) => b;
+        case "v":
+            return (a, b, v) => v;
+        case "true":
+            return () => true;
+        case "false":
+            return () => false;
+    }
+    throw new Error(
+        '"%1" is not allowed at column %2'.format(node.name, node.token.column)
+    );
+};
+
+Game_DamageFormula.prototype.isBattler = function(node) {
+    return node.type === "name" && ["a", "b"].includes(node.name);
+};
+
+Game_DamageFormula.prototype.isMath = function(node) {
+    return node.type === "name" && node.name === "Math";
+};
+
+// Whether battlers have the member, and whether it is a method rather than
+// a value, found without running any getters.
+Game_DamageFormula.prototype.battlerMember = function(name) {
+    for (const root of [Game_Actor.prototype, Game_Enemy.prototype]) {
+        for (let proto = root; proto; proto = Object.getPrototypeOf(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (descriptor) {
+                return typeof descriptor.value === "function"
+                    ? "method"
+                    : "value";
+            }
+        }
+    }
+    return "";
+};
+
+Game_DamageFormula.prototype.checkMember = function(node, asMethod) {
+    const name = node.name;
+    const column = node.token.column;
+    if (this.isMath(node.object)) {
+        const value = Game_DamageFormula.math()[name];
+        if (value === undefined || (typeof value === "function") !== asMethod) {
+            throw new Error(
+                '"Math.%1" is not allowed at column %2'.format(name, column)
+            );
+        }
+        return;
+    }
+    if (!this.isBattler(node.object)) {
+        throw new Error(
+            '".%1" can only follow a, b or Math at column %2'.format(
+                name,
+                column
+            )
+        );
+    }
+    const kind = this.battlerMember(name);
+    const allowed = asMethod
+        ? kind === "method" && Game_DamageFormula.BATTLER_METHODS.includes(name)
+        : kind === "value" && !name.startsWith("_");
+    if (!allowed) {
+        throw new Error(
+            '"%1.%2" is not allowed at column %3'.format(
+                node.object.name,
+                name,
+                column
+            )
+        );
+    }
+};
+
+Game_DamageFormula.prototype.buildMember = function(node) {
+    this.checkMember(node, false);
+    const name = node.name;
+    if (this.isMath(node.object)) {
+        const value = Game_DamageFormula.math()[name];
+        return () => value;
+    }
+    const object = this.build(node.object);
+    return (a, b, v) => object(a, b, v)[name];
+};
+
+Game_DamageFormula.prototype.buildIndex = function(node) {
+    if (node.object.type !== "name" || node.object.name !== "v") {
+        throw new Error(
+            "Only v can be indexed, at column %1".format(node.token.column)
+        );
+    }
+    const index = this.build(node.index);
+    return (a, b, v) => v[index(a, b, v)] || 0;
+};
+
+Game_DamageFormula.prototype.buildCall = function(node) {
+    const callee = node.callee;
+    if (callee.type !== "member") {
+        const message =
+            "Only Math functions and battler methods can be called, " +
+            "at column %1";
+        throw new Error(message.format(node.token.column));
+    }
+    this.checkMember(callee, true);
+    const args = node.args.map(arg => this.build(arg));
+    const name = callee.name;
+    const values = (a, b, v) => args.map(arg => arg(a, b, v));
+    if (this.isMath(callee.object)) {
+        const func = Game_DamageFormula.math()[name];
+        return (a, b, v) => func(...values(a, b, v));
+    }
+    const object = this.build(callee.object);
+    return (a, b, v) => object(a, b, v)[name](...values(a, b, v));
+};
+
+Game_DamageFormula.prototype.buildUnary = function(node) {
+    const value = this.build(node.value);
+    switch (node.op) {
+        case "-":
+            return (a, b, v) => -value(a, b, v);
+        case "+":
+            return (a, b, v) => +value(a, b, v);
+        default:
+            return (a, b, v) => !value(a, b, v);
+    }
+};
+
+Game_DamageFormula.prototype.buildBinary = function(node) {
+    const l = this.build(node.left);
+    const r = this.build(node.right);
+    switch (node.op) {
+        case "||":
+            return (a, b, v) => l(a, b, v) || r(a, b, v);
+        case "&&":
+            return (a, b, v) => l(a, b, v) && r(a, b, v);
+        case "===":
+            return (a, b, v) => l(a, b, v) === r(a, b, v);
+        case "!==":
+            return (a, b, v) => l(a, b, v) !== r(a, b, v);
+        case "==":
+            return (a, b, v) => l(a, b, v) == r(a, b, v);
+        case "!=":
+            return (a, b, v) => l(a, b, v) != r(a, b, v);
+        case "<":
+            return (a, b, v) => l(a, b, v) < r(a, b, v);
+        case "<=":
+            return (a, b, v) => l(a, b, v) <= r(a, b, v);
+        case ">":
+            return (a, b, v) => l(a, b, v) > r(a, b, v);
+        case ">=":
+            return (a, b, v) => l(a, b, v) >= r(a, b, v);
+        case "+":
+            return (a, b, v) => l(a, b, v) + r(a, b, v);
+        case "-":
+            return (a, b, v) => l(a, b, v) - r(a, b, v);
+        case "*":
+            return (a, b, v) => l(a, b, v) * r(a, b, v);
+        case "/":
+            return (a, b, v) => l(a, b, v) / r(a, b, v);
+        case "%":
+            return (a, b, v) => l(a, b, v) % r(a, b, v);
+        default:
+            return (a, b, v) => l(a, b, v) ** r(a, b, v);
+    }
+};
+
+Game_DamageFormula.prototype.buildConditional = function(node) {
+    const test = this.build(node.test);
+    const yes = this.build(node.yes);
+    const no = this.build(node.no);
+    return (a, b, v) => (test(a, b, v) ? yes(a, b, v) : no(a, b, v));
+};
+
 //-----------------------------------------------------------------------------
 // Game_Action
 //
@@ -1651,8 +2266,16 @@ Game_Action.prototype.isValid = function() {
 };
 
 Game_Action.prototype.speed = function() {
-    const agi = this.subject().agi;
-    let speed = agi + Math.randomInt(Math.floor(5 + agi / 4));
+    return this.baseSpeed() + $gameRandom.randomInt(this.speedRange());
+};
+
+// The speed with the average random bonus, for predicting the action order.
+Game_Action.prototype.expectedSpeed = function() {
+    return this.baseSpeed() + (this.speedRange() - 1) / 2;
+};
+
+Game_Action.prototype.baseSpeed = function() {
+    let speed = this.subject().agi;
     if (this.item()) {
         speed += this.item().speed;
     }
@@ -1662,6 +2285,10 @@ Game_Action.prototype.speed = function() {
     return speed;
 };
 
+Game_Action.prototype.speedRange = function() {
+    return Math.floor(5 + this.subject().agi / 4);
+};
+
 Game_Action.prototype.makeTargets = function() {
     const targets = [];
     if (!this._forcing && this.subject().isConfused()) {
@@ -1694,7 +2321,7 @@ Game_Action.prototype.confusionTarget = function() {
         case 1:
             return this.opponentsUnit().randomTarget();
         case 2:
-            if (Math.randomInt(2) === 0) {
+            if ($gameRandom.randomInt(2) === 0) {
                 return this.opponentsUnit().randomTarget();
             }
             return this.friendsUnit().randomTarget();
@@ -1780,7 +2407,7 @@ Game_Action.prototype.evaluate = function() {
     }
     value *= this.numRepeats();
     if (value > 0) {
-        value += Math.random();
+        value += $gameRandom.random();
     }
     return value;
 };
@@ -1808,9 +2435,29 @@ Game_Action.prototype.evaluateWithTarget = function(target) {
             const recovery = Math.min(-value, target.mhp - target.hp);
             return recovery / target.mhp;
         }
+    } else if (this.isItem()) {
+        return this.evaluateRecoveryEffects(target);
     }
 };
 
+// Values the recovery effects of items, which only simulated actors choose.
+Game_Action.prototype.evaluateRecoveryEffects = function(target) {
+    const rate = target.rec * this.subject().pha;
+    let value = 0;
+    for (const effect of this.item().effects) {
+        const v1 = effect.value1;
+        const v2 = effect.value2;
+        if (effect.code === Game_Action.EFFECT_RECOVER_HP) {
+            const hp = (target.mhp * v1 + v2) * rate;
+            value += Math.min(hp, target.mhp - target.hp) / target.mhp;
+        } else if (effect.code === Game_Action.EFFECT_RECOVER_MP) {
+            const mp = (target.mmp * v1 + v2) * rate;
+            value += Math.min(mp, target.mmp - target.mp) / (target.mmp || 1);
+        }
+    }
+    return value;
+};
+
 Game_Action.prototype.testApply = function(target) {
     return (
         this.testLifeAndDeath(target) &&
@@ -1912,15 +2559,17 @@ Game_Action.prototype.apply = function(target) {
     this.subject().clearResult();
     result.clear();
     result.used = this.testApply(target);
-    result.missed = result.used && Math.random() >= this.itemHit(target);
-    result.evaded = !result.missed && Math.random() < this.itemEva(target);
+    result.missed = result.used && $gameRandom.random() >= this.itemHit(target);
+    result.evaded =
+        !result.missed && $gameRandom.random() < this.itemEva(target);
     result.physical = this.isPhysical();
     result.drain = this.isDrain();
     if (result.isHit()) {
         if (this.item().damage.type > 0) {
-            result.critical = Math.random() < this.itemCri(target);
+            result.critical = $gameRandom.random() < this.itemCri(target);
             const value = this.makeDamageValue(target, result.critical);
             this.executeDamage(target, value);
+            this.observeElements(target);
         }
         for (const effect of this.item().effects) {
             this.applyItemEffect(target, effect);
@@ -1953,17 +2602,13 @@ Game_Action.prototype.makeDamageValue = function(target, critical) {
 };
 
 Game_Action.prototype.evalDamageFormula = function(target) {
-    try {
-        const item = this.item();
-        const a = this.subject(); // eslint-disable-line no-unused-vars
-        const b = target; // eslint-disable-line no-unused-vars
-        const v = $gameVariables._data; // eslint-disable-line no-unused-vars
-        const sign = [3, 4].includes(item.damage.type) ? -1 : 1;
-        const value = Math.max(eval(item.damage.formula), 0) * sign;
-        return isNaN(value) ? 0 : value;
-    } catch (e) {
-        return 0;
-    }
+    const item = this.item();
+    const formula = Game_DamageFormula.get(item.damage.formula);
+    const a = this.subject();
+    const v = $gameVariables._data;
+    const sign = [3, 4].includes(item.damage.type) ? -1 : 1;
+    const value = Math.max(formula.evaluate(a, target, v), 0) * sign;
+    return isNaN(value) ? 0 : value;
 };
 
 Game_Action.prototype.calcElementRate = function(target) {
@@ -1974,6 +2619,28 @@ Game_Action.prototype.calcElementRate = function(target) {
     }
 };
 
+Game_Action.prototype.damageElements = function() {
+    const elementId = this.item().damage.elementId;
+    return elementId < 0 ? this.subject().attackElements() : [elementId];
+};
+
+// The bestiary learns the rates of an enemy as the party observes them.
+Game_Action.prototype.observeElements = function(target) {
+    if (target.isEnemy()) {
+        for (const elementId of this.damageElements()) {
+            if (elementId > 0) {
+                $gameBestiary.revealElement(target.enemyId(), elementId);
+            }
+        }
+    }
+};
+
+Game_Action.prototype.observeState = function(target, stateId) {
+    if (target.isEnemy()) {
+        $gameBestiary.revealState(target.enemyId(), stateId);
+    }
+};
+
 Game_Action.prototype.elementsMaxRate = function(target, elements) {
     if (elements.length > 0) {
         const rates = elements.map(elementId => target.elementRate(elementId));
@@ -1989,7 +2656,8 @@ Game_Action.prototype.applyCritical = function(damage) {
 
 Game_Action.prototype.applyVariance = function(damage, variance) {
     const amp = Math.floor(Math.max((Math.abs(damage) * variance) / 100, 0));
-    const v = Math.randomInt(amp + 1) + Math.randomInt(amp + 1) - amp;
+    const v =
+        $gameRandom.randomInt(amp + 1) + $gameRandom.randomInt(amp + 1) - amp;
     return damage >= 0 ? damage + v : damage - v;
 };
 
@@ -2139,11 +2807,12 @@ Game_Action.prototype.itemEffectAddState = function(target, effect) {
 
 Game_Action.prototype.itemEffectAddAttackState = function(target, effect) {
     for (const stateId of this.subject().attackStates()) {
+        this.observeState(target, stateId);
         let chance = effect.value1;
         chance *= target.stateRate(stateId);
         chance *= this.subject().attackStatesRate(stateId);
         chance *= this.lukEffectRate(target);
-        if (Math.random() < chance) {
+        if ($gameRandom.random() < chance) {
             target.addState(stateId);
             this.makeSuccess(target);
         }
@@ -2151,12 +2820,13 @@ Game_Action.prototype.itemEffectAddAttackState = function(target, effect) {
 };
 
 Game_Action.prototype.itemEffectAddNormalState = function(target, effect) {
+    this.observeState(target, effect.dataId);
     let chance = effect.value1;
     if (!this.isCertainHit()) {
         chance *= target.stateRate(effect.dataId);
         chance *= this.lukEffectRate(target);
     }
-    if (Math.random() < chance) {
+    if ($gameRandom.random() < chance) {
         target.addState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -2164,7 +2834,7 @@ Game_Action.prototype.itemEffectAddNormalState = function(target, effect) {
 
 Game_Action.prototype.itemEffectRemoveState = function(target, effect) {
     let chance = effect.value1;
-    if (Math.random() < chance) {
+    if ($gameRandom.random() < chance) {
         target.removeState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -2177,7 +2847,7 @@ Game_Action.prototype.itemEffectAddBuff = function(target, effect) {
 
 Game_Action.prototype.itemEffectAddDebuff = function(target, effect) {
     let chance = target.debuffRate(effect.dataId) * this.lukEffectRate(target);
-    if (Math.random() < chance) {
+    if ($gameRandom.random() < chance) {
         target.addDebuff(effect.dataId, effect.value1);
         this.makeSuccess(target);
     }
@@ -2647,6 +3317,8 @@ Game_BattlerBase.prototype.initMembers = function() {
     this.clearParamPlus();
     this.clearStates();
     this.clearBuffs();
+    this.clearSkillCooldowns();
+    this.recoverSkillCharges();
 };
 
 Game_BattlerBase.prototype.clearParamPlus = function() {
@@ -2678,7 +3350,8 @@ Game_BattlerBase.prototype.deathStateId = function() {
 Game_BattlerBase.prototype.resetStateCounts = function(stateId) {
     const state = $dataStates[stateId];
     const variance = 1 + Math.max(state.maxTurns - state.minTurns, 0);
-    this._stateTurns[stateId] = state.minTurns + Math.randomInt(variance);
+    this._stateTurns[stateId] =
+        state.minTurns + $gameRandom.randomInt(variance);
 };
 
 Game_BattlerBase.prototype.isStateExpired = function(stateId) {
@@ -3004,7 +3677,10 @@ Game_BattlerBase.prototype.partyAbility = function(abilityId) {
 };
 
 Game_BattlerBase.prototype.isAutoBattle = function() {
-    return this.specialFlag(Game_BattlerBase.FLAG_ID_AUTO_BATTLE);
+    return (
+        this.specialFlag(Game_BattlerBase.FLAG_ID_AUTO_BATTLE) ||
+        BattleManager.isSimulation()
+    );
 };
 
 Game_BattlerBase.prototype.isGuard = function() {
@@ -3056,6 +3732,7 @@ Game_BattlerBase.prototype.refresh = function() {
 
 Game_BattlerBase.prototype.recoverAll = function() {
     this.clearStates();
+    this.recoverSkillCharges();
     this._hp = this.mhp;
     this._mp = this.mmp;
 };
@@ -3215,6 +3892,71 @@ Game_BattlerBase.prototype.paySkillCost = function(skill) {
     this._tp -= this.skillTpCost(skill);
 };
 
+// Skills take the note tags <cooldown:n>, <charges:n> and <warmup:n>.
+Game_BattlerBase.prototype.skillCooldownTurns = function(skill) {
+    return Number(skill.meta.cooldown) || 0;
+};
+
+Game_BattlerBase.prototype.skillWarmupTurns = function(skill) {
+    return Number(skill.meta.warmup) || 0;
+};
+
+Game_BattlerBase.prototype.skillMaxCharges = function(skill) {
+    return Number(skill.meta.charges) || 0;
+};
+
+Game_BattlerBase.prototype.clearSkillCooldowns = function() {
+    this._skillCooldowns = {};
+};
+
+Game_BattlerBase.prototype.recoverSkillCharges = function() {
+    this._skillChargesUsed = {};
+};
+
+Game_BattlerBase.prototype.skillCharges = function(skill) {
+    const used = this._skillChargesUsed[skill.id] || 0;
+    return Math.max(this.skillMaxCharges(skill) - used, 0);
+};
+
+Game_BattlerBase.prototype.skillWaitTurns = function(skill) {
+    const cooldown = this._skillCooldowns[skill.id] || 0;
+    if ($gameParty.inBattle()) {
+        const warmup = this.skillWarmupTurns(skill) - $gameTroop.turnCount();
+        return Math.max(cooldown, warmup, 0);
+    } else {
+        return cooldown;
+    }
+};
+
+Game_BattlerBase.prototype.isSkillReady = function(skill) {
+    const hasCharges =
+        this.skillMaxCharges(skill) === 0 || this.skillCharges(skill) > 0;
+    return hasCharges && this.skillWaitTurns(skill) === 0;
+};
+
+Game_BattlerBase.prototype.startSkillCooldown = function(skill) {
+    const turns = this.skillCooldownTurns(skill);
+    if (turns > 0 && $gameParty.inBattle()) {
+        // The turn of use also ends before the next input.
+        this._skillCooldowns[skill.id] = turns + 1;
+    }
+};
+
+Game_BattlerBase.prototype.updateSkillCooldowns = function() {
+    for (const skillId of Object.keys(this._skillCooldowns)) {
+        if (--this._skillCooldowns[skillId] <= 0) {
+            delete this._skillCooldowns[skillId];
+        }
+    }
+};
+
+Game_BattlerBase.prototype.consumeSkillCharge = function(skill) {
+    if (this.skillMaxCharges(skill) > 0) {
+        const used = this._skillChargesUsed[skill.id] || 0;
+        this._skillChargesUsed[skill.id] = used + 1;
+    }
+};
+
 Game_BattlerBase.prototype.isOccasionOk = function(item) {
     if ($gameParty.inBattle()) {
         return item.occasion === 0 || item.occasion === 1;
@@ -3232,6 +3974,7 @@ Game_BattlerBase.prototype.meetsSkillConditions = function(skill) {
         this.meetsUsableItemConditions(skill) &&
         this.isSkillWtypeOk(skill) &&
         this.canPaySkillCost(skill) &&
+        this.isSkillReady(skill) &&
         !this.isSkillSealed(skill.id) &&
         !this.isSkillTypeSealed(skill.stypeId)
     );
@@ -3461,7 +4204,7 @@ Game_Battler.prototype.applyTpbPenalty = function() {
 Game_Battler.prototype.initTpbChargeTime = function(advantageous) {
     const speed = this.tpbRelativeSpeed();
     this._tpbState = "charging";
-    this._tpbChargeTime = advantageous ? 1 : speed * Math.random() * 0.5;
+    this._tpbChargeTime = advantageous ? 1 : speed * $gameRandom.random() * 0.5;
     if (this.isRestricted()) {
         this._tpbChargeTime = 0;
     }
@@ -3555,12 +4298,33 @@ Game_Battler.prototype.tpbBaseSpeed = function() {
 };
 
 Game_Battler.prototype.tpbRequiredCastTime = function() {
-    const actions = this._actions.filter(action => action.isValid());
-    const items = actions.map(action => action.item());
+    return this.tpbCastTimeOf(this._actions);
+};
+
+Game_Battler.prototype.tpbCastTimeOf = function(actions) {
+    const items = actions
+        .filter(action => action.isValid())
+        .map(action => action.item());
     const delay = items.reduce((r, item) => r + Math.max(0, -item.speed), 0);
     return Math.sqrt(delay) / this.tpbSpeed();
 };
 
+// The frames until the next action, if the speed stays the same.
+Game_Battler.prototype.tpbExpectedTime = function(item) {
+    const acceleration = this.tpbAcceleration();
+    const castTime = this.tpbCastTimeOf(this.previewActions(item));
+    switch (this._tpbState) {
+        case "charging":
+            return (1 - this._tpbChargeTime) / acceleration;
+        case "charged":
+            return castTime / acceleration;
+        case "casting":
+            return Math.max(castTime - this._tpbCastTime, 0) / acceleration;
+        default:
+            return 0;
+    }
+};
+
 Game_Battler.prototype.onTpbCharged = function() {
     if (!this.shouldDelayTpbCharge()) {
         this.finishTpbCharge();
@@ -3688,7 +4452,9 @@ Game_Battler.prototype.escape = function() {
     }
     this.clearActions();
     this.clearStates();
-    SoundManager.playEscape();
+    if (!BattleManager.isSimulation()) {
+        SoundManager.playEscape();
+    }
 };
 
 Game_Battler.prototype.addBuff = function(paramId, turns) {
@@ -3758,7 +4524,7 @@ Game_Battler.prototype.removeStatesByDamage = function() {
     for (const state of this.states()) {
         if (
             state.removeByDamage &&
-            Math.randomInt(100) < state.chanceByDamage
+            $gameRandom.randomInt(100) < state.chanceByDamage
         ) {
             this.removeState(state.id);
         }
@@ -3767,7 +4533,10 @@ Game_Battler.prototype.removeStatesByDamage = function() {
 
 Game_Battler.prototype.makeActionTimes = function() {
     const actionPlusSet = this.actionPlusSet();
-    return actionPlusSet.reduce((r, p) => (Math.random() < p ? r + 1 : r), 1);
+    return actionPlusSet.reduce(
+        (r, p) => ($gameRandom.random() < p ? r + 1 : r),
+        1
+    );
 };
 
 Game_Battler.prototype.makeActions = function() {
@@ -3789,6 +4558,29 @@ Game_Battler.prototype.makeSpeed = function() {
     this._speed = Math.min(...this._actions.map(action => action.speed())) || 0;
 };
 
+Game_Battler.prototype.expectedSpeed = function(item) {
+    const actions = this.previewActions(item);
+    if (actions.length > 0) {
+        return Math.min(...actions.map(action => action.expectedSpeed()));
+    } else {
+        return this.agi;
+    }
+};
+
+// Returns the actions with the one being input replaced by the given item.
+Game_Battler.prototype.previewActions = function(item) {
+    const inputting = item && this.isActor() ? this.inputtingAction() : null;
+    return this._actions.map(action => {
+        if (action === inputting) {
+            const preview = new Game_Action(this);
+            preview.setItemObject(item);
+            return preview;
+        } else {
+            return action;
+        }
+    });
+};
+
 Game_Battler.prototype.currentAction = function() {
     return this._actions[0];
 };
@@ -3818,6 +4610,8 @@ Game_Battler.prototype.forceAction = function(skillId, targetIndex) {
 Game_Battler.prototype.useItem = function(item) {
     if (DataManager.isSkill(item)) {
         this.paySkillCost(item);
+        this.startSkillCooldown(item);
+        this.consumeSkillCharge(item);
     } else if (DataManager.isItem(item)) {
         this.consumeItem(item);
     }
@@ -3848,7 +4642,7 @@ Game_Battler.prototype.gainSilentTp = function(value) {
 };
 
 Game_Battler.prototype.initTp = function() {
-    this.setTp(Math.randomInt(25));
+    this.setTp($gameRandom.randomInt(25));
 };
 
 Game_Battler.prototype.clearTp = function() {
@@ -3913,6 +4707,7 @@ Game_Battler.prototype.onTurnEnd = function() {
     this.regenerateAll();
     this.updateStateTurns();
     this.updateBuffTurns();
+    this.updateSkillCooldowns();
     this.removeStatesAuto(2);
 };
 
@@ -3920,6 +4715,7 @@ Game_Battler.prototype.onBattleEnd = function() {
     this.clearResult();
     this.removeBattleStates();
     this.removeAllBuffs();
+    this.clearSkillCooldowns();
     this.clearActions();
     if (!this.isPreserveTp()) {
         this.clearTp();
@@ -4720,6 +5516,15 @@ Game_Actor.prototype.makeActionList = function() {
         skillAction.setSkill(skill.id);
         list.push(skillAction);
     }
+    if (BattleManager.isSimulation()) {
+        for (const item of $gameParty.items()) {
+            if (this.canUse(item)) {
+                const itemAction = new Game_Action(this);
+                itemAction.setItem(item.id);
+                list.push(itemAction);
+            }
+        }
+    }
     return list;
 };
 
@@ -5004,8 +5809,9 @@ Game_Enemy.prototype.gold = function() {
 
 Game_Enemy.prototype.makeDropItems = function() {
     const rate = this.dropItemRate();
-    return this.enemy().dropItems.reduce((r, di) => {
-        if (di.kind > 0 && Math.random() * di.denominator < rate) {
+    return this.enemy().dropItems.reduce((r, di, index) => {
+        if (di.kind > 0 && $gameRandom.random() * di.denominator < rate) {
+            $gameBestiary.revealDrop(this.enemyId(), index);
             return r.concat(this.itemObject(di.kind, di.dataId));
         } else {
             return r;
@@ -5029,6 +5835,32 @@ Game_Enemy.prototype.itemObject = function(kind, dataId) {
     }
 };
 
+Game_Enemy.prototype.onBattleStart = function(advantageous) {
+    Game_Battler.prototype.onBattleStart.call(this, advantageous);
+    this.recordEncounter();
+};
+
+Game_Enemy.prototype.onBattleEnd = function() {
+    if (this.isDead()) {
+        $gameBestiary.onDefeat(this.enemyId());
+    }
+    Game_Battler.prototype.onBattleEnd.call(this);
+};
+
+Game_Enemy.prototype.appear = function() {
+    Game_Battler.prototype.appear.call(this);
+    // Hidden enemies also appear when the battle ends.
+    if ($gameTroop.inBattle()) {
+        this.recordEncounter();
+    }
+};
+
+Game_Enemy.prototype.recordEncounter = function() {
+    if (this.isAppeared()) {
+        $gameBestiary.encounter(this.enemyId());
+    }
+};
+
 Game_Enemy.prototype.isSpriteVisible = function() {
     return true;
 };
@@ -5113,6 +5945,7 @@ Game_Enemy.prototype.transform = function(enemyId) {
         this._plural = false;
     }
     this.refresh();
+    this.recordEncounter();
     if (this.numActions() > 0) {
         this.makeActions();
     }
@@ -5177,7 +6010,7 @@ Game_Enemy.prototype.isActionValid = function(action) {
 Game_Enemy.prototype.selectAction = function(actionList, ratingZero) {
     const sum = actionList.reduce((r, a) => r + a.rating - ratingZero, 0);
     if (sum > 0) {
-        let value = Math.randomInt(sum);
+        let value = $gameRandom.randomInt(sum);
         for (const action of actionList) {
             value -= action.rating - ratingZero;
             if (value < 0) {
@@ -5286,7 +6119,7 @@ Game_Unit.prototype.tgrSum = function() {
 };
 
 Game_Unit.prototype.randomTarget = function() {
-    let tgrRand = Math.random() * this.tgrSum();
+    let tgrRand = $gameRandom.random() * this.tgrSum();
     let target = null;
     for (const member of this.aliveMembers()) {
         tgrRand -= member.tgr;
@@ -5299,7 +6132,9 @@ Game_Unit.prototype.randomTarget = function() {
 
 Game_Unit.prototype.randomDeadTarget = function() {
     const members = this.deadMembers();
-    return members.length ? members[Math.randomInt(members.length)] : null;
+    return members.length
+        ? members[$gameRandom.randomInt(members.length)]
+        : null;
 };
 
 Game_Unit.prototype.smoothTarget = function(index) {
@@ -7788,7 +8623,7 @@ Game_Character.prototype.deltaYFrom = function(y) {
 };
 
 Game_Character.prototype.moveRandom = function() {
-    const d = 2 + Math.randomInt(4) * 2;
+    const d = 2 + $gameRandom.randomInt(4) * 2;
     if (this.canPass(this.x, this.y, d)) {
         this.moveStraight(d);
     }
@@ -7933,7 +8768,7 @@ Game_Character.prototype.turn180 = function() {
 };
 
 Game_Character.prototype.turnRightOrLeft90 = function() {
-    switch (Math.randomInt(2)) {
+    switch ($gameRandom.randomInt(2)) {
         case 0:
             this.turnRight90();
             break;
@@ -7944,7 +8779,7 @@ Game_Character.prototype.turnRightOrLeft90 = function() {
 };
 
 Game_Character.prototype.turnRandom = function() {
-    this.setDirection(2 + Math.randomInt(4) * 2);
+    this.setDirection(2 + $gameRandom.randomInt(4) * 2);
 };
 
 Game_Character.prototype.swap = function(character) {
@@ -8103,6 +8938,7 @@ Game_Player.prototype.initMembers = function() {
     this._fadeType = 0;
     this._followers = new Game_Followers();
     this._encounterCount = 0;
+    this._analogSpeed = 1;
 };
 
 Game_Player.prototype.clearTransferInfo = function() {
@@ -8257,7 +9093,8 @@ Game_Player.prototype.increaseSteps = function() {
 
 Game_Player.prototype.makeEncounterCount = function() {
     const n = $gameMap.encounterStep();
-    this._encounterCount = Math.randomInt(n) + Math.randomInt(n) + 1;
+    this._encounterCount =
+        $gameRandom.randomInt(n) + $gameRandom.randomInt(n) + 1;
 };
 
 Game_Player.prototype.makeEncounterTroopId = function() {
@@ -8270,7 +9107,7 @@ Game_Player.prototype.makeEncounterTroopId = function() {
         }
     }
     if (weightSum > 0) {
-        let value = Math.randomInt(weightSum);
+        let value = $gameRandom.randomInt(weightSum);
         for (const encounter of encounterList) {
             value -= encounter.weight;
             if (value < 0) {
@@ -8362,6 +9199,7 @@ Game_Player.prototype.update = function(sceneActive) {
     const lastScrolledY = this.scrolledY();
     const wasMoving = this.isMoving();
     this.updateDashing();
+    this.updateAnalogSpeed();
     if (sceneActive) {
         this.moveByInput();
     }
@@ -8386,6 +9224,25 @@ Game_Player.prototype.updateDashing = function() {
     }
 };
 
+Game_Player.prototype.updateAnalogSpeed = function() {
+    // The speed follows the tilt of the stick while it steers the player.
+    const magnitude = Input.stickMagnitude("left");
+    if (magnitude > 0 && this.canMove() && !$gameTemp.isDestinationValid()) {
+        this._analogSpeed = magnitude;
+    } else {
+        this._analogSpeed = 1;
+    }
+};
+
+Game_Player.prototype.analogSpeed = function() {
+    return this._analogSpeed || 1;
+};
+
+Game_Player.prototype.distancePerFrame = function() {
+    const distance = Game_Character.prototype.distancePerFrame.call(this);
+    return distance * this.analogSpeed();
+};
+
 Game_Player.prototype.isDashButtonPressed = function() {
     const shift = Input.isPressed("shift");
     if (ConfigManager.alwaysDash) {
@@ -8758,6 +9615,12 @@ Game_Follower.prototype.update = function() {
     this.setTransparent($gamePlayer.isTransparent());
 };
 
+Game_Follower.prototype.distancePerFrame = function() {
+    // Followers keep pace with the player at any tilt of the stick.
+    const distance = Game_Character.prototype.distancePerFrame.call(this);
+    return distance * $gamePlayer.analogSpeed();
+};
+
 Game_Follower.prototype.chaseCharacter = function(character) {
     const sx = this.deltaXFrom(character.x);
     const sy = this.deltaYFrom(character.y);
@@ -9236,7 +10099,7 @@ Game_Event.prototype.stopCountThreshold = function() {
 };
 
 Game_Event.prototype.moveTypeRandom = function() {
-    switch (Math.randomInt(6)) {
+    switch ($gameRandom.randomInt(6)) {
         case 0:
         case 1:
             this.moveRandom();
@@ -9254,7 +10117,7 @@ Game_Event.prototype.moveTypeRandom = function() {
 
 Game_Event.prototype.moveTypeTowardPlayer = function() {
     if (this.isNearThePlayer()) {
-        switch (Math.randomInt(6)) {
+        switch ($gameRandom.randomInt(6)) {
             case 0:
             case 1:
             case 2:
@@ -10199,7 +11062,7 @@ Game_Interpreter.prototype.command122 = function(params) {
     }
     for (let i = startId; i <= endId; i++) {
         if (typeof value === "number") {
-            const realValue = value + Math.randomInt(randomMax);
+            const realValue = value + $gameRandom.randomInt(randomMax);
             this.operateVariable(i, operationType, realValue);
         } else {
             this.operateVariable(i, operationType, value);
@@ -11318,4 +12181,20 @@ Game_Interpreter.prototype.command357 = function(params) {
     return true;
 };
 
+// Rumble
+// Used by the commands of the Rumble plugin and from the Script command,
+// e.g. this.startRumble("heavy", true).
+Game_Interpreter.prototype.startRumble = function(pattern, wait) {
+    Input.startRumble(pattern);
+    if (wait) {
+        // [Note] The wait does not depend on whether rumble is enabled or
+        //   supported, so that events play out the same for every player.
+        this.wait(Input.rumbleFrames(pattern));
+    }
+};
+
+Game_Interpreter.prototype.stopRumble = function() {
+    Input.stopRumble();
+};
+
 //-----------------------------------------------------------------------------
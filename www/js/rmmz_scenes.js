@@ -184,6 +184,11 @@ Scene_Base.prototype.isRightInputMode = function() {
     return true;
 };
 
+// Whether keys that plugins remap per scene should read as on the map.
+Scene_Base.prototype.usesMapKeyBindings = function() {
+    return false;
+};
+
 Scene_Base.prototype.mainCommandWidth = function() {
     return 240;
 };
@@ -267,14 +272,14 @@ Scene_Boot.prototype.initialize = function() {
 Scene_Boot.prototype.create = function() {
     Scene_Base.prototype.create.call(this);
     DataManager.loadDatabase();
-    StorageManager.updateForageKeys();
+    StorageManager.prepareBackend();
 };
 
 Scene_Boot.prototype.isReady = function() {
     if (!this._databaseLoaded) {
         if (
             DataManager.isDatabaseLoaded() &&
-            StorageManager.forageKeysUpdated()
+            StorageManager.isBackendReady()
         ) {
             this._databaseLoaded = true;
             this.onDatabaseLoaded();
@@ -1281,6 +1286,7 @@ Scene_Menu.prototype.createCommandWindow = function() {
     commandWindow.setHandler("equip", this.commandPersonal.bind(this));
     commandWindow.setHandler("status", this.commandPersonal.bind(this));
     commandWindow.setHandler("formation", this.commandFormation.bind(this));
+    commandWindow.setHandler("bestiary", this.commandBestiary.bind(this));
     commandWindow.setHandler("options", this.commandOptions.bind(this));
     commandWindow.setHandler("save", this.commandSave.bind(this));
     commandWindow.setHandler("gameEnd", this.commandGameEnd.bind(this));
@@ -1345,6 +1351,10 @@ Scene_Menu.prototype.commandFormation = function() {
     this._statusWindow.setHandler("cancel", this.onFormationCancel.bind(this));
 };
 
+Scene_Menu.prototype.commandBestiary = function() {
+    SceneManager.push(Scene_Bestiary);
+};
+
 Scene_Menu.prototype.commandOptions = function() {
     SceneManager.push(Scene_Options);
 };
@@ -2086,6 +2096,64 @@ Scene_Status.prototype.onActorChange = function() {
     this._statusWindow.activate();
 };
 
+//-----------------------------------------------------------------------------
+// Scene_Bestiary
+//
+// The scene class of the bestiary screen.
+
+function Scene_Bestiary() {
+    this.initialize(...arguments);
+}
+
+Scene_Bestiary.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Bestiary.prototype.constructor = Scene_Bestiary;
+
+Scene_Bestiary.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+Scene_Bestiary.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createListWindow();
+    this.createStatusWindow();
+};
+
+Scene_Bestiary.prototype.helpAreaHeight = function() {
+    return 0;
+};
+
+Scene_Bestiary.prototype.createListWindow = function() {
+    const rect = this.listWindowRect();
+    this._listWindow = new Window_BestiaryList(rect);
+    this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this._listWindow.select(0);
+    this._listWindow.activate();
+    this.addWindow(this._listWindow);
+};
+
+Scene_Bestiary.prototype.listWindowRect = function() {
+    const ww = this.mainCommandWidth();
+    const wh = this.mainAreaHeight();
+    const wx = this.isRightInputMode() ? Graphics.boxWidth - ww : 0;
+    const wy = this.mainAreaTop();
+    return new Rectangle(wx, wy, ww, wh);
+};
+
+Scene_Bestiary.prototype.createStatusWindow = function() {
+    const rect = this.statusWindowRect();
+    this._statusWindow = new Window_BestiaryStatus(rect);
+    this._listWindow.setStatusWindow(this._statusWindow);
+    this.addWindow(this._statusWindow);
+};
+
+Scene_Bestiary.prototype.statusWindowRect = function() {
+    const ww = Graphics.boxWidth - this.mainCommandWidth();
+    const wh = this.mainAreaHeight();
+    const wx = this.isRightInputMode() ? 0 : this.mainCommandWidth();
+    const wy = this.mainAreaTop();
+    return new Rectangle(wx, wy, ww, wh);
+};
+
 //-----------------------------------------------------------------------------
 // Scene_Options
 //
@@ -2115,6 +2183,7 @@ Scene_Options.prototype.terminate = function() {
 Scene_Options.prototype.createOptionsWindow = function() {
     const rect = this.optionsWindowRect();
     this._optionsWindow = new Window_Options(rect);
+    this._optionsWindow.setHandler("controls", this.commandControls.bind(this));
     this._optionsWindow.setHandler("cancel", this.popScene.bind(this));
     this.addWindow(this._optionsWindow);
 };
@@ -2130,13 +2199,165 @@ Scene_Options.prototype.optionsWindowRect = function() {
 
 Scene_Options.prototype.maxCommands = function() {
     // Increase this value when adding option items.
-    return 7;
+    return 9;
 };
 
 Scene_Options.prototype.maxVisibleCommands = function() {
     return 12;
 };
 
+Scene_Options.prototype.commandControls = function() {
+    SceneManager.push(Scene_Controls);
+};
+
+//-----------------------------------------------------------------------------
+// Scene_Controls
+//
+// The scene class of the screen for rebinding keys and gamepad buttons.
+
+function Scene_Controls() {
+    this.initialize(...arguments);
+}
+
+Scene_Controls.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Controls.prototype.constructor = Scene_Controls;
+
+Scene_Controls.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+    this._captureDevice = "";
+    this._captureCount = 0;
+    this._capturedInput = null;
+};
+
+Scene_Controls.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    this.createListWindow();
+    this._helpWindow.setText(TextManager.controlsHelp);
+};
+
+Scene_Controls.prototype.terminate = function() {
+    Scene_MenuBase.prototype.terminate.call(this);
+    Input.stopCapture();
+    ConfigManager.save();
+};
+
+Scene_Controls.prototype.update = function() {
+    Scene_MenuBase.prototype.update.call(this);
+    if (this.isCapturing()) {
+        this.updateCapture();
+    }
+};
+
+Scene_Controls.prototype.usesMapKeyBindings = function() {
+    // The actions are listed by what their keys do on the map.
+    return true;
+};
+
+Scene_Controls.prototype.createListWindow = function() {
+    const rect = this.listWindowRect();
+    this._listWindow = new Window_ControlList(rect);
+    this._listWindow.setHandler("ok", this.onListOk.bind(this));
+    this._listWindow.setHandler("clear", this.onListClear.bind(this));
+    this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this.addWindow(this._listWindow);
+};
+
+Scene_Controls.prototype.listWindowRect = function() {
+    const wx = 0;
+    const wy = this.mainAreaTop();
+    const ww = Graphics.boxWidth;
+    const wh = this.mainAreaHeight();
+    return new Rectangle(wx, wy, ww, wh);
+};
+
+Scene_Controls.prototype.captureFrames = function() {
+    return 300;
+};
+
+Scene_Controls.prototype.isCapturing = function() {
+    return !!this._captureDevice;
+};
+
+Scene_Controls.prototype.onListOk = function() {
+    const device = this._listWindow.device();
+    if (this._listWindow.action()) {
+        this.startCapture(device);
+    } else {
+        ConfigManager.resetBindings(device);
+        this._listWindow.refresh();
+        this._listWindow.activate();
+    }
+};
+
+Scene_Controls.prototype.onListClear = function() {
+    const action = this._listWindow.action();
+    const device = this._listWindow.device();
+    if (action && ConfigManager.canClear(action)) {
+        ConfigManager.clearBinding(action, device);
+        SoundManager.playOk();
+        this._listWindow.refresh();
+        this._helpWindow.setText(TextManager.controlsHelp);
+    } else {
+        SoundManager.playBuzzer();
+        if (action) {
+            const text = TextManager.bindingRequired.format(action.name);
+            this._helpWindow.setText(text);
+        }
+    }
+    this._listWindow.activate();
+};
+
+Scene_Controls.prototype.startCapture = function(device) {
+    this._captureDevice = device;
+    this._captureCount = this.captureFrames();
+    this._capturedInput = null;
+    this._listWindow.setCapturing(true);
+    this._helpWindow.setText(TextManager.pressKey);
+    Input.startCapture((inputDevice, code) => {
+        this._capturedInput = { device: inputDevice, code: code };
+    });
+};
+
+Scene_Controls.prototype.updateCapture = function() {
+    const input = this._capturedInput;
+    if (input) {
+        // [Note] Input from the other device cancels the capture, so that
+        //   the keyboard can always back out of a gamepad binding.
+        if (input.device === this._captureDevice) {
+            this.bindCapturedInput(input.code);
+        } else {
+            this.endCapture(TextManager.controlsHelp);
+        }
+    } else if (--this._captureCount <= 0 || TouchInput.isCancelled()) {
+        this.endCapture(TextManager.controlsHelp);
+    }
+};
+
+Scene_Controls.prototype.bindCapturedInput = function(code) {
+    const action = this._listWindow.action();
+    const device = this._captureDevice;
+    if (ConfigManager.canBind(action, device, code)) {
+        ConfigManager.bind(action, device, code);
+        SoundManager.playOk();
+        this._listWindow.refresh();
+        this.endCapture(TextManager.controlsHelp);
+    } else {
+        const other = ConfigManager.bindingConflict(action, device, code);
+        SoundManager.playBuzzer();
+        this.endCapture(TextManager.bindingConflict.format(other.name));
+    }
+};
+
+Scene_Controls.prototype.endCapture = function(helpText) {
+    Input.stopCapture();
+    this._captureDevice = "";
+    this._capturedInput = null;
+    this._listWindow.setCapturing(false);
+    this._listWindow.activate();
+    this._helpWindow.setText(helpText);
+};
+
 //-----------------------------------------------------------------------------
 // Scene_File
 //
@@ -2158,7 +2379,9 @@ Scene_File.prototype.create = function() {
     DataManager.loadAllSavefileImages();
     this.createHelpWindow();
     this.createListWindow();
-    this._helpWindow.setText(this.helpWindowText());
+    this.createTransferWindow();
+    this.createOverwriteWindow();
+    this.resetHelpText();
 };
 
 Scene_File.prototype.helpAreaHeight = function() {
@@ -2170,6 +2393,39 @@ Scene_File.prototype.start = function() {
     this._listWindow.refresh();
 };
 
+Scene_File.prototype.update = function() {
+    Scene_MenuBase.prototype.update.call(this);
+    this.updateTransferButton();
+};
+
+Scene_File.prototype.createButtons = function() {
+    Scene_MenuBase.prototype.createButtons.call(this);
+    if (ConfigManager.touchUI) {
+        this.createTransferButton();
+    }
+};
+
+Scene_File.prototype.createTransferButton = function() {
+    // Mouse and touch players open the export and import commands here,
+    // as keyboard and gamepad players do with Shift.
+    this._transferButton = new Sprite_Button("menu");
+    this._transferButton.x = this.transferButtonX();
+    this._transferButton.y = this.buttonY();
+    this._transferButton.setClickHandler(this.onTransferButton.bind(this));
+    this.addWindow(this._transferButton);
+};
+
+Scene_File.prototype.transferButtonX = function() {
+    const right = this._cancelButton ? this._cancelButton.x : Graphics.boxWidth;
+    return right - this._transferButton.width - 4;
+};
+
+Scene_File.prototype.updateTransferButton = function() {
+    if (this._transferButton) {
+        this._transferButton.visible = this._listWindow.active;
+    }
+};
+
 Scene_File.prototype.savefileId = function() {
     return this._listWindow.savefileId();
 };
@@ -2197,6 +2453,7 @@ Scene_File.prototype.createListWindow = function() {
     this._listWindow = new Window_SavefileList(rect);
     this._listWindow.setHandler("ok", this.onSavefileOk.bind(this));
     this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this._listWindow.setHandler("shift", this.onSavefileShift.bind(this));
     this._listWindow.setMode(this.mode(), this.needsAutosave());
     this._listWindow.selectSavefile(this.firstSavefileId());
     this._listWindow.refresh();
@@ -2211,6 +2468,42 @@ Scene_File.prototype.listWindowRect = function() {
     return new Rectangle(wx, wy, ww, wh);
 };
 
+Scene_File.prototype.createTransferWindow = function() {
+    const rect = this.transferWindowRect();
+    this._transferWindow = new Window_SavefileTransfer(rect);
+    this._transferWindow.setHandler("export", this.commandExport.bind(this));
+    this._transferWindow.setHandler("import", this.commandImport.bind(this));
+    this._transferWindow.setHandler("cancel", this.closeTransfer.bind(this));
+    this.addWindow(this._transferWindow);
+};
+
+Scene_File.prototype.createOverwriteWindow = function() {
+    const rect = this.overwriteWindowRect();
+    this._overwriteWindow = new Window_SavefileOverwrite(rect);
+    this._overwriteWindow.setHandler(
+        "overwrite",
+        this.commandOverwrite.bind(this)
+    );
+    this._overwriteWindow.setHandler("cancel", this.closeOverwrite.bind(this));
+    this.addWindow(this._overwriteWindow);
+};
+
+Scene_File.prototype.transferWindowRect = function() {
+    const ww = this.mainCommandWidth();
+    const wh = this.calcWindowHeight(3, true);
+    const wx = (Graphics.boxWidth - ww) / 2;
+    const wy = (Graphics.boxHeight - wh) / 2;
+    return new Rectangle(wx, wy, ww, wh);
+};
+
+Scene_File.prototype.overwriteWindowRect = function() {
+    const ww = this.mainCommandWidth();
+    const wh = this.calcWindowHeight(2, true);
+    const wx = (Graphics.boxWidth - ww) / 2;
+    const wy = (Graphics.boxHeight - wh) / 2;
+    return new Rectangle(wx, wy, ww, wh);
+};
+
 Scene_File.prototype.mode = function() {
     return null;
 };
@@ -2227,6 +2520,11 @@ Scene_File.prototype.helpWindowText = function() {
     return "";
 };
 
+Scene_File.prototype.resetHelpText = function() {
+    const text = this.helpWindowText();
+    this._helpWindow.setText(TextManager.transferHint.format(text));
+};
+
 Scene_File.prototype.firstSavefileId = function() {
     return 0;
 };
@@ -2235,6 +2533,83 @@ Scene_File.prototype.onSavefileOk = function() {
     //
 };
 
+Scene_File.prototype.onSavefileShift = function() {
+    this.resetHelpText();
+    this._transferWindow.setSavefileId(this.savefileId());
+    this._transferWindow.select(0);
+    this._transferWindow.open();
+    this._transferWindow.activate();
+};
+
+Scene_File.prototype.onTransferButton = function() {
+    SoundManager.playCursor();
+    this._listWindow.deactivate();
+    this.onSavefileShift();
+};
+
+Scene_File.prototype.closeTransfer = function() {
+    this._transferWindow.close();
+    this._transferWindow.deactivate();
+    this.activateListWindow();
+};
+
+Scene_File.prototype.commandExport = function() {
+    const savefileId = this.savefileId();
+    const filename = DataManager.makeExportFilename(savefileId);
+    this.closeTransfer();
+    DataManager.exportSavefile(savefileId)
+        .then(zip => StorageManager.downloadZip(filename, zip))
+        .catch(error => this.onTransferFailure(error));
+};
+
+Scene_File.prototype.commandImport = function() {
+    const savefileId = this.savefileId();
+    if (DataManager.savefileInfo(savefileId)) {
+        const name = TextManager.file + " " + savefileId;
+        this._transferWindow.close();
+        this._transferWindow.deactivate();
+        this._helpWindow.setText(TextManager.overwriteConfirm.format(name));
+        this._overwriteWindow.select(0);
+        this._overwriteWindow.open();
+        this._overwriteWindow.activate();
+    } else {
+        this.closeTransfer();
+        this.executeImport(savefileId);
+    }
+};
+
+Scene_File.prototype.commandOverwrite = function() {
+    const savefileId = this.savefileId();
+    this.closeOverwrite();
+    this.executeImport(savefileId);
+};
+
+Scene_File.prototype.closeOverwrite = function() {
+    this._overwriteWindow.close();
+    this._overwriteWindow.deactivate();
+    this.resetHelpText();
+    this.activateListWindow();
+};
+
+Scene_File.prototype.executeImport = function(savefileId) {
+    StorageManager.selectZipFile(".rmmzexport")
+        .then(zip => DataManager.importSavefile(savefileId, zip))
+        .then(() => this.onImportSuccess())
+        .catch(error => this.onTransferFailure(error));
+};
+
+Scene_File.prototype.onImportSuccess = function() {
+    SoundManager.playLoad();
+    this.resetHelpText();
+    this._listWindow.refresh();
+};
+
+Scene_File.prototype.onTransferFailure = function(error) {
+    // DataManager.checkSavefileImport explains what is wrong with the file.
+    SoundManager.playBuzzer();
+    this._helpWindow.setText(error.message);
+};
+
 //-----------------------------------------------------------------------------
 // Scene_Save
 //
@@ -2315,6 +2690,27 @@ Scene_Load.prototype.terminate = function() {
     }
 };
 
+Scene_Load.prototype.create = function() {
+    Scene_File.prototype.create.call(this);
+    this.createRestoreWindow();
+};
+
+Scene_Load.prototype.createRestoreWindow = function() {
+    const rect = this.restoreWindowRect();
+    this._restoreWindow = new Window_SavefileRestore(rect);
+    this._restoreWindow.setHandler("restore", this.commandRestore.bind(this));
+    this._restoreWindow.setHandler("cancel", this.closeRestore.bind(this));
+    this.addWindow(this._restoreWindow);
+};
+
+Scene_Load.prototype.restoreWindowRect = function() {
+    const ww = this.mainCommandWidth() * 2;
+    const wh = this.calcWindowHeight(2, true);
+    const wx = (Graphics.boxWidth - ww) / 2;
+    const wy = (Graphics.boxHeight - wh) / 2;
+    return new Rectangle(wx, wy, ww, wh);
+};
+
 Scene_Load.prototype.mode = function() {
     return "load";
 };
@@ -2339,10 +2735,39 @@ Scene_Load.prototype.onSavefileOk = function() {
 
 Scene_Load.prototype.executeLoad = function(savefileId) {
     DataManager.loadGame(savefileId)
+        .then(() => this.onLoadSuccess())
+        .catch(error => this.onLoadError(savefileId, error));
+};
+
+Scene_Load.prototype.onLoadError = function(savefileId, error) {
+    if (
+        StorageManager.isChecksumError(error) &&
+        DataManager.savefileBackupExists(savefileId)
+    ) {
+        SoundManager.playBuzzer();
+        this._restoreWindow.select(0);
+        this._restoreWindow.open();
+        this._restoreWindow.activate();
+    } else {
+        this.onLoadFailure();
+    }
+};
+
+Scene_Load.prototype.commandRestore = function() {
+    const savefileId = this.savefileId();
+    this._restoreWindow.close();
+    this._restoreWindow.deactivate();
+    DataManager.restoreSavefileBackup(savefileId)
         .then(() => this.onLoadSuccess())
         .catch(() => this.onLoadFailure());
 };
 
+Scene_Load.prototype.closeRestore = function() {
+    this._restoreWindow.close();
+    this._restoreWindow.deactivate();
+    this.activateListWindow();
+};
+
 Scene_Load.prototype.onLoadSuccess = function() {
     SoundManager.playLoad();
     this.fadeOutAll();
@@ -2983,6 +3408,7 @@ Scene_Battle.prototype.update = function() {
 Scene_Battle.prototype.updateVisibility = function() {
     this.updateLogWindowVisibility();
     this.updateStatusWindowVisibility();
+    this.updateTimelineWindow();
     this.updateInputWindowVisibility();
     this.updateCancelButton();
 };
@@ -3077,6 +3503,33 @@ Scene_Battle.prototype.shouldOpenStatusWindow = function() {
     );
 };
 
+Scene_Battle.prototype.updateTimelineWindow = function() {
+    if ($gameMessage.isBusy() || BattleManager.isBattleEnd()) {
+        this._timelineWindow.close();
+    } else if (this.isActive()) {
+        this._timelineWindow.open();
+    }
+    this._timelineWindow.setPreviewItem(this.previewItem());
+};
+
+// The item whose action order is previewed on the timeline.
+Scene_Battle.prototype.previewItem = function() {
+    const actor = BattleManager.actor();
+    if (this._skillWindow.active) {
+        return this._skillWindow.item();
+    } else if (this._itemWindow.active) {
+        return this._itemWindow.item();
+    } else if (actor && this._actorCommandWindow.active) {
+        switch (this._actorCommandWindow.currentSymbol()) {
+            case "attack":
+                return $dataSkills[actor.attackSkillId()];
+            case "guard":
+                return $dataSkills[actor.guardSkillId()];
+        }
+    }
+    return null;
+};
+
 Scene_Battle.prototype.updateStatusWindowPosition = function() {
     const statusWindow = this._statusWindow;
     const targetX = this.statusWindowX();
@@ -3139,6 +3592,7 @@ Scene_Battle.prototype.createSpriteset = function() {
 Scene_Battle.prototype.createAllWindows = function() {
     this.createLogWindow();
     this.createStatusWindow();
+    this.createTimelineWindow();
     this.createPartyCommandWindow();
     this.createActorCommandWindow();
     this.createHelpWindow();
@@ -3179,6 +3633,21 @@ Scene_Battle.prototype.statusWindowRect = function() {
     return new Rectangle(wx, wy, ww, wh);
 };
 
+Scene_Battle.prototype.createTimelineWindow = function() {
+    const rect = this.timelineWindowRect();
+    this._timelineWindow = new Window_BattleTimeline(rect);
+    this.addWindow(this._timelineWindow);
+};
+
+Scene_Battle.prototype.timelineWindowRect = function() {
+    const statusRect = this.statusWindowRect();
+    const ww = statusRect.width;
+    const wh = this.calcWindowHeight(1, false);
+    const wx = statusRect.x;
+    const wy = Graphics.boxHeight - this.windowAreaHeight() - wh;
+    return new Rectangle(wx, wy, ww, wh);
+};
+
 Scene_Battle.prototype.createPartyCommandWindow = function() {
     const rect = this.partyCommandWindowRect();
     const commandWindow = new Window_PartyCommand(rect);
@@ -162,6 +162,10 @@ Sprite_Button.prototype.update = function() {
 };
 
 Sprite_Button.prototype.checkBitmap = function() {
+    if (Graphics.isHeadless()) {
+        // Images are not loaded in the headless mode.
+        return;
+    }
     if (this.bitmap.isReady() && this.bitmap.width < this.blockWidth() * 11) {
         // Probably MV image is used
         throw new Error("ButtonSet image is too small");
@@ -1842,6 +1842,7 @@ Window_MenuCommand.initCommandPosition = function() {
 Window_MenuCommand.prototype.makeCommandList = function() {
     this.addMainCommands();
     this.addFormationCommand();
+    this.addBestiaryCommand();
     this.addOriginalCommands();
     this.addOptionsCommand();
     this.addSaveCommand();
@@ -1871,6 +1872,11 @@ Window_MenuCommand.prototype.addFormationCommand = function() {
     }
 };
 
+Window_MenuCommand.prototype.addBestiaryCommand = function() {
+    const enabled = this.isBestiaryEnabled();
+    this.addCommand(TextManager.bestiary, "bestiary", enabled);
+};
+
 Window_MenuCommand.prototype.addOriginalCommands = function() {
     //
 };
@@ -1907,6 +1913,10 @@ Window_MenuCommand.prototype.areMainCommandsEnabled = function() {
     return $gameParty.exists();
 };
 
+Window_MenuCommand.prototype.isBestiaryEnabled = function() {
+    return $gameBestiary.enemyIds().length > 0;
+};
+
 Window_MenuCommand.prototype.isFormationEnabled = function() {
     return $gameParty.size() >= 2 && $gameSystem.isFormationEnabled();
 };
@@ -2442,9 +2452,12 @@ Window_SkillList.prototype.drawItem = function(index) {
     const skill = this.itemAt(index);
     if (skill) {
         const costWidth = this.costWidth();
+        const chargeWidth = this.chargeWidth(skill);
         const rect = this.itemLineRect(index);
+        const nameWidth = rect.width - costWidth - chargeWidth;
         this.changePaintOpacity(this.isEnabled(skill));
-        this.drawItemName(skill, rect.x, rect.y, rect.width - costWidth);
+        this.drawItemName(skill, rect.x, rect.y, nameWidth);
+        this.drawSkillCharges(skill, rect.x, rect.y, rect.width - costWidth);
         this.drawSkillCost(skill, rect.x, rect.y, rect.width);
         this.changePaintOpacity(1);
     }
@@ -2454,8 +2467,26 @@ Window_SkillList.prototype.costWidth = function() {
     return this.textWidth("000");
 };
 
+Window_SkillList.prototype.chargeWidth = function(skill) {
+    const hasCharges = this._actor.skillMaxCharges(skill) > 0;
+    return hasCharges ? this.textWidth("00/00") + this.itemPadding() : 0;
+};
+
+Window_SkillList.prototype.drawSkillCharges = function(skill, x, y, width) {
+    const max = this._actor.skillMaxCharges(skill);
+    if (max > 0) {
+        const text = "%1/%2".format(this._actor.skillCharges(skill), max);
+        this.resetTextColor();
+        this.drawText(text, x, y, width - this.itemPadding(), "right");
+    }
+};
+
 Window_SkillList.prototype.drawSkillCost = function(skill, x, y, width) {
-    if (this._actor.skillTpCost(skill) > 0) {
+    const waitTurns = this._actor.skillWaitTurns(skill);
+    if (waitTurns > 0) {
+        this.changeTextColor(ColorManager.cooldownColor());
+        this.drawText(waitTurns, x, y, width, "right");
+    } else if (this._actor.skillTpCost(skill) > 0) {
         this.changeTextColor(ColorManager.tpCostColor());
         this.drawText(this._actor.skillTpCost(skill), x, y, width, "right");
     } else if (this._actor.skillMpCost(skill) > 0) {
@@ -2977,6 +3008,252 @@ Window_StatusEquip.prototype.drawItemBackground = function(/*index*/) {
     //
 };
 
+//-----------------------------------------------------------------------------
+// Window_BestiaryList
+//
+// The window for selecting an enemy on the bestiary screen.
+
+function Window_BestiaryList() {
+    this.initialize(...arguments);
+}
+
+Window_BestiaryList.prototype = Object.create(Window_Selectable.prototype);
+Window_BestiaryList.prototype.constructor = Window_BestiaryList;
+
+Window_BestiaryList.prototype.initialize = function(rect) {
+    Window_Selectable.prototype.initialize.call(this, rect);
+    this._data = [];
+    this._statusWindow = null;
+    this.refresh();
+};
+
+Window_BestiaryList.prototype.setStatusWindow = function(statusWindow) {
+    this._statusWindow = statusWindow;
+};
+
+Window_BestiaryList.prototype.maxItems = function() {
+    return this._data.length;
+};
+
+Window_BestiaryList.prototype.enemy = function() {
+    return this.enemyAt(this.index());
+};
+
+Window_BestiaryList.prototype.enemyAt = function(index) {
+    return $dataEnemies[this._data[index]] || null;
+};
+
+Window_BestiaryList.prototype.makeItemList = function() {
+    this._data = $gameBestiary.enemyIds();
+};
+
+Window_BestiaryList.prototype.update = function() {
+    Window_Selectable.prototype.update.call(this);
+    if (this._statusWindow) {
+        this._statusWindow.setEnemy(this.enemy());
+    }
+};
+
+Window_BestiaryList.prototype.drawItem = function(index) {
+    const enemy = this.enemyAt(index);
+    if (enemy) {
+        const rect = this.itemLineRect(index);
+        this.resetTextColor();
+        this.drawText(enemy.name, rect.x, rect.y, rect.width);
+    }
+};
+
+Window_BestiaryList.prototype.refresh = function() {
+    this.makeItemList();
+    Window_Selectable.prototype.refresh.call(this);
+};
+
+//-----------------------------------------------------------------------------
+// Window_BestiaryStatus
+//
+// The window for displaying what is known about an enemy on the bestiary
+// screen.
+
+function Window_BestiaryStatus() {
+    this.initialize(...arguments);
+}
+
+Window_BestiaryStatus.prototype = Object.create(Window_Base.prototype);
+Window_BestiaryStatus.prototype.constructor = Window_BestiaryStatus;
+
+Window_BestiaryStatus.prototype.initialize = function(rect) {
+    Window_Base.prototype.initialize.call(this, rect);
+    this._enemy = null;
+    this._battler = null;
+};
+
+Window_BestiaryStatus.prototype.setEnemy = function(enemy) {
+    if (this._enemy !== enemy) {
+        this._enemy = enemy;
+        // The rates are taken from a battler with the enemy's traits.
+        this._battler = enemy ? new Game_Enemy(enemy.id, 0, 0) : null;
+        this.refresh();
+    }
+};
+
+Window_BestiaryStatus.prototype.imageSize = function() {
+    return this.lineHeight() * 5;
+};
+
+Window_BestiaryStatus.prototype.refresh = function() {
+    this.contents.clear();
+    if (this._enemy) {
+        const lineHeight = this.lineHeight();
+        const size = this.imageSize();
+        const half = Math.floor(this.innerWidth / 2);
+        const y2 = lineHeight + size + this.itemPadding();
+        this.drawHeader(0, 0, this.innerWidth);
+        this.drawEnemyImage(0, lineHeight, size);
+        this.drawParameters(size + this.itemPadding() * 2, lineHeight);
+        this.drawElements(0, y2, half - this.itemPadding());
+        this.drawDropsAndStates(half + this.itemPadding(), y2, half);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawHeader = function(x, y, width) {
+    const count = $gameBestiary.defeatCount(this._enemy.id);
+    const countWidth = this.textWidth("000000");
+    const labelWidth = width - countWidth - this.itemPadding();
+    this.resetTextColor();
+    this.drawText(this._enemy.name, x, y, width);
+    this.changeTextColor(ColorManager.systemColor());
+    this.drawText(TextManager.bestiaryDefeated, x, y, labelWidth, "right");
+    this.resetTextColor();
+    this.drawText(count, x, y, width, "right");
+};
+
+Window_BestiaryStatus.prototype.drawEnemyImage = function(x, y, size) {
+    const enemy = this._enemy;
+    const bitmap = $gameSystem.isSideView()
+        ? ImageManager.loadSvEnemy(enemy.battlerName)
+        : ImageManager.loadEnemy(enemy.battlerName);
+    if (!bitmap.isReady()) {
+        bitmap.addLoadListener(() => {
+            if (this._enemy === enemy) {
+                this.refresh();
+            }
+        });
+    } else if (bitmap.width > 0) {
+        const bw = bitmap.width;
+        const bh = bitmap.height;
+        const scale = Math.min(size / bw, size / bh, 1);
+        const dw = Math.floor(bw * scale);
+        const dh = Math.floor(bh * scale);
+        const dx = x + Math.floor((size - dw) / 2);
+        const dy = y + Math.floor((size - dh) / 2);
+        this.contents.blt(bitmap, 0, 0, bw, bh, dx, dy, dw, dh);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawParameters = function(x, y) {
+    const lineHeight = this.lineHeight();
+    const colWidth = Math.floor((this.innerWidth - x) / 2);
+    const width = colWidth - this.itemPadding();
+    for (let i = 0; i < 8; i++) {
+        const px = x + (i % 2) * colWidth;
+        const py = y + Math.floor(i / 2) * lineHeight;
+        const value = this._battler.param(i);
+        this.drawLabelValue(TextManager.param(i), value, px, py, width);
+    }
+    const ry = y + lineHeight * 4;
+    const unit = TextManager.currencyUnit;
+    this.drawLabelValue(TextManager.exp, this._enemy.exp, x, ry, width);
+    this.drawLabelValue(unit, this._enemy.gold, x + colWidth, ry, width);
+};
+
+Window_BestiaryStatus.prototype.drawLabelValue = function(
+    label,
+    value,
+    x,
+    y,
+    width
+) {
+    this.changeTextColor(ColorManager.systemColor());
+    this.drawText(label, x, y, width);
+    this.resetTextColor();
+    this.drawText(value, x, y, width, "right");
+};
+
+Window_BestiaryStatus.prototype.drawElements = function(x, y, width) {
+    const lineHeight = this.lineHeight();
+    const elements = $dataSystem.elements;
+    const colWidth = Math.floor(width / 2);
+    this.changeTextColor(ColorManager.systemColor());
+    this.drawText(TextManager.bestiaryElements, x, y, width);
+    for (let elementId = 1; elementId < elements.length; elementId++) {
+        const i = elementId - 1;
+        const ex = x + (i % 2) * colWidth;
+        const ey = y + lineHeight * (1 + Math.floor(i / 2));
+        const w = colWidth - this.itemPadding();
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(elements[elementId], ex, ey, w);
+        if ($gameBestiary.isElementRevealed(this._enemy.id, elementId)) {
+            this.drawRate(this._battler.elementRate(elementId), ex, ey, w);
+        } else {
+            this.resetTextColor();
+            this.drawText(TextManager.bestiaryUnknown, ex, ey, w, "right");
+        }
+    }
+};
+
+Window_BestiaryStatus.prototype.drawRate = function(rate, x, y, width) {
+    // A rate above 100% is good news for the party.
+    this.changeTextColor(ColorManager.paramchangeTextColor(rate - 1));
+    this.drawText(Math.round(rate * 100) + "%", x, y, width, "right");
+};
+
+Window_BestiaryStatus.prototype.drawDropsAndStates = function(x, y, width) {
+    const lineHeight = this.lineHeight();
+    let ly = y;
+    this.changeTextColor(ColorManager.systemColor());
+    this.drawText(TextManager.bestiaryDrops, x, ly, width);
+    this._enemy.dropItems.forEach((di, index) => {
+        if (di.kind > 0) {
+            ly += lineHeight;
+            this.drawDropItem(di, index, x, ly, width);
+        }
+    });
+    ly += lineHeight;
+    this.changeTextColor(ColorManager.systemColor());
+    this.drawText(TextManager.bestiaryStates, x, ly, width);
+    for (const stateId of $gameBestiary.revealedStateIds(this._enemy.id)) {
+        ly += lineHeight;
+        this.drawStateRate($dataStates[stateId], x, ly, width);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawDropItem = function(
+    di,
+    index,
+    x,
+    y,
+    width
+) {
+    const rateWidth = this.textWidth("1/000");
+    if ($gameBestiary.isDropRevealed(this._enemy.id, index)) {
+        const item = this._battler.itemObject(di.kind, di.dataId);
+        this.drawItemName(item, x, y, width - rateWidth);
+        this.drawText("1/" + di.denominator, x, y, width, "right");
+    } else {
+        this.resetTextColor();
+        this.drawText(TextManager.bestiaryUnknown, x, y, width);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawStateRate = function(state, x, y, width) {
+    const battler = this._battler;
+    const resisted = battler.isStateResist(state.id);
+    const rate = resisted ? 0 : battler.stateRate(state.id);
+    this.drawItemName(state, x, y, width - this.textWidth("0000%"));
+    this.changeTextColor(ColorManager.paramchangeTextColor(rate - 1));
+    this.drawText(Math.round(rate * 100) + "%", x, y, width, "right");
+};
+
 //-----------------------------------------------------------------------------
 // Window_Options
 //
@@ -2996,12 +3273,14 @@ Window_Options.prototype.initialize = function(rect) {
 Window_Options.prototype.makeCommandList = function() {
     this.addGeneralOptions();
     this.addVolumeOptions();
+    this.addControlOptions();
 };
 
 Window_Options.prototype.addGeneralOptions = function() {
     this.addCommand(TextManager.alwaysDash, "alwaysDash");
     this.addCommand(TextManager.commandRemember, "commandRemember");
     this.addCommand(TextManager.touchUI, "touchUI");
+    this.addCommand(TextManager.rumble, "rumble");
 };
 
 Window_Options.prototype.addVolumeOptions = function() {
@@ -3011,6 +3290,10 @@ Window_Options.prototype.addVolumeOptions = function() {
     this.addCommand(TextManager.seVolume, "seVolume");
 };
 
+Window_Options.prototype.addControlOptions = function() {
+    this.addCommand(TextManager.controls, "controls");
+};
+
 Window_Options.prototype.drawItem = function(index) {
     const title = this.commandName(index);
     const status = this.statusText(index);
@@ -3030,7 +3313,9 @@ Window_Options.prototype.statusWidth = function() {
 Window_Options.prototype.statusText = function(index) {
     const symbol = this.commandSymbol(index);
     const value = this.getConfigValue(symbol);
-    if (this.isVolumeSymbol(symbol)) {
+    if (this.isSceneSymbol(symbol)) {
+        return "";
+    } else if (this.isVolumeSymbol(symbol)) {
         return this.volumeStatusText(value);
     } else {
         return this.booleanStatusText(value);
@@ -3041,6 +3326,11 @@ Window_Options.prototype.isVolumeSymbol = function(symbol) {
     return symbol.includes("Volume");
 };
 
+Window_Options.prototype.isSceneSymbol = function(symbol) {
+    // Options that open their own screen instead of changing a value.
+    return symbol === "controls";
+};
+
 Window_Options.prototype.booleanStatusText = function(value) {
     return value ? "ON" : "OFF";
 };
@@ -3052,7 +3342,9 @@ Window_Options.prototype.volumeStatusText = function(value) {
 Window_Options.prototype.processOk = function() {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (this.isSceneSymbol(symbol)) {
+        Window_Command.prototype.processOk.call(this);
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, true, true);
     } else {
         this.changeValue(symbol, !this.getConfigValue(symbol));
@@ -3062,7 +3354,9 @@ Window_Options.prototype.processOk = function() {
 Window_Options.prototype.cursorRight = function() {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (this.isSceneSymbol(symbol)) {
+        return;
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, true, false);
     } else {
         this.changeValue(symbol, true);
@@ -3072,7 +3366,9 @@ Window_Options.prototype.cursorRight = function() {
 Window_Options.prototype.cursorLeft = function() {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (this.isSceneSymbol(symbol)) {
+        return;
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, false, false);
     } else {
         this.changeValue(symbol, false);
@@ -3111,6 +3407,107 @@ Window_Options.prototype.setConfigValue = function(symbol, volume) {
     ConfigManager[symbol] = volume;
 };
 
+//-----------------------------------------------------------------------------
+// Window_ControlList
+//
+// The window for rebinding keys and gamepad buttons on the controls screen.
+// Each action has a keyboard cell and a gamepad cell, followed by a row of
+// cells that reset each device to its default bindings.
+
+function Window_ControlList() {
+    this.initialize(...arguments);
+}
+
+Window_ControlList.prototype = Object.create(Window_Selectable.prototype);
+Window_ControlList.prototype.constructor = Window_ControlList;
+
+Window_ControlList.prototype.initialize = function(rect) {
+    Window_Selectable.prototype.initialize.call(this, rect);
+    this._capturingIndex = -1;
+    this.refresh();
+    this.select(0);
+};
+
+Window_ControlList.prototype.maxCols = function() {
+    return 2;
+};
+
+Window_ControlList.prototype.maxItems = function() {
+    return (ConfigManager.controlActions.length + 1) * 2;
+};
+
+Window_ControlList.prototype.nameWidth = function() {
+    return 180;
+};
+
+Window_ControlList.prototype.itemWidth = function() {
+    return Math.floor((this.innerWidth - this.nameWidth()) / this.maxCols());
+};
+
+Window_ControlList.prototype.itemRect = function(index) {
+    const rect = Window_Selectable.prototype.itemRect.call(this, index);
+    rect.x += this.nameWidth();
+    return rect;
+};
+
+Window_ControlList.prototype.action = function(index) {
+    const i = index >= 0 ? index : this.index();
+    return ConfigManager.controlActions[Math.floor(i / 2)] || null;
+};
+
+Window_ControlList.prototype.device = function(index) {
+    const i = index >= 0 ? index : this.index();
+    return i % 2 === 0 ? "keyboard" : "gamepad";
+};
+
+Window_ControlList.prototype.setCapturing = function(capturing) {
+    const lastIndex = this._capturingIndex;
+    this._capturingIndex = capturing ? this.index() : -1;
+    this.redrawItem(lastIndex);
+    this.redrawItem(this._capturingIndex);
+};
+
+Window_ControlList.prototype.drawItem = function(index) {
+    const action = this.action(index);
+    const rect = this.itemLineRect(index);
+    if (action) {
+        if (index % 2 === 0) {
+            const nameWidth = this.nameWidth();
+            this.changeTextColor(ColorManager.systemColor());
+            this.drawText(action.name, rect.x - nameWidth, rect.y, nameWidth);
+        }
+        this.resetTextColor();
+        const text = this.bindingText(index);
+        this.drawText(text, rect.x, rect.y, rect.width, "center");
+    } else {
+        this.resetTextColor();
+        const text = TextManager.resetControls;
+        this.drawText(text, rect.x, rect.y, rect.width, "center");
+    }
+};
+
+Window_ControlList.prototype.processHandling = function() {
+    Window_Selectable.prototype.processHandling.call(this);
+    if (this.isOpenAndActive() && this.isHandled("clear")) {
+        if (Input.isTriggered("shift")) {
+            this.updateInputData();
+            this.deactivate();
+            this.callHandler("clear");
+        }
+    }
+};
+
+Window_ControlList.prototype.bindingText = function(index) {
+    if (index === this._capturingIndex) {
+        return "...";
+    } else {
+        const action = this.action(index);
+        const device = this.device(index);
+        const codes = ConfigManager.bindingCodes(action, device);
+        return codes.map(code => Input.codeName(device, code)).join(", ");
+    }
+};
+
 //-----------------------------------------------------------------------------
 // Window_SavefileList
 //
@@ -3226,6 +3623,99 @@ Window_SavefileList.prototype.playOkSound = function() {
     //
 };
 
+Window_SavefileList.prototype.processHandling = function() {
+    Window_Selectable.prototype.processHandling.call(this);
+    if (this.isOpenAndActive() && this.isHandled("shift")) {
+        if (Input.isTriggered("shift")) {
+            this.playCursorSound();
+            this.updateInputData();
+            this.deactivate();
+            this.callHandler("shift");
+        }
+    }
+};
+
+//-----------------------------------------------------------------------------
+// Window_SavefileTransfer
+//
+// The window for exporting and importing a save file on the save and load
+// screens.
+
+function Window_SavefileTransfer() {
+    this.initialize(...arguments);
+}
+
+Window_SavefileTransfer.prototype = Object.create(Window_Command.prototype);
+Window_SavefileTransfer.prototype.constructor = Window_SavefileTransfer;
+
+Window_SavefileTransfer.prototype.initialize = function(rect) {
+    this._savefileId = 0;
+    Window_Command.prototype.initialize.call(this, rect);
+    this.openness = 0;
+    this.deactivate();
+};
+
+Window_SavefileTransfer.prototype.setSavefileId = function(savefileId) {
+    this._savefileId = savefileId;
+    this.refresh();
+};
+
+Window_SavefileTransfer.prototype.makeCommandList = function() {
+    const savefileId = this._savefileId;
+    const exportEnabled = !!DataManager.savefileInfo(savefileId);
+    const importEnabled = savefileId > 0;
+    this.addCommand(TextManager.exportSavefile, "export", exportEnabled);
+    this.addCommand(TextManager.importSavefile, "import", importEnabled);
+    this.addCommand(TextManager.cancel, "cancel");
+};
+
+//-----------------------------------------------------------------------------
+// Window_SavefileOverwrite
+//
+// The window for confirming that an import replaces an existing save file.
+
+function Window_SavefileOverwrite() {
+    this.initialize(...arguments);
+}
+
+Window_SavefileOverwrite.prototype = Object.create(Window_Command.prototype);
+Window_SavefileOverwrite.prototype.constructor = Window_SavefileOverwrite;
+
+Window_SavefileOverwrite.prototype.initialize = function(rect) {
+    Window_Command.prototype.initialize.call(this, rect);
+    this.openness = 0;
+    this.deactivate();
+};
+
+Window_SavefileOverwrite.prototype.makeCommandList = function() {
+    this.addCommand(TextManager.overwriteSavefile, "overwrite");
+    this.addCommand(TextManager.cancel, "cancel");
+};
+
+//-----------------------------------------------------------------------------
+// Window_SavefileRestore
+//
+// The window for restoring a backup of a corrupted save file on the load
+// screen.
+
+function Window_SavefileRestore() {
+    this.initialize(...arguments);
+}
+
+Window_SavefileRestore.prototype = Object.create(Window_Command.prototype);
+Window_SavefileRestore.prototype.constructor = Window_SavefileRestore;
+
+Window_SavefileRestore.prototype.initialize = function(rect) {
+    Window_Command.prototype.initialize.call(this, rect);
+    this.openness = 0;
+    this.deactivate();
+};
+
+Window_SavefileRestore.prototype.makeCommandList = function() {
+    this.addCommand(TextManager.restoreBackup, "restore");
+    this.addCommand(TextManager.cancel, "cancel");
+};
+
 //-----------------------------------------------------------------------------
 // Window_ShopCommand
 //
@@ -5504,6 +5994,13 @@ Window_BattleLog.prototype.performActionEnd = function(subject) {
 
 Window_BattleLog.prototype.performDamage = function(target) {
     target.performDamage();
+    if (target.isActor()) {
+        BattleManager.onActorDamage(target);
+    }
+};
+
+Window_BattleLog.prototype.performCritical = function(target) {
+    BattleManager.onCritical(target);
 };
 
 Window_BattleLog.prototype.performMiss = function(target) {
@@ -5718,6 +6215,7 @@ Window_BattleLog.prototype.displayFailure = function(target) {
 
 Window_BattleLog.prototype.displayCritical = function(target) {
     if (target.result().critical) {
+        this.push("performCritical", target);
         if (target.isActor()) {
             this.push("addText", TextManager.criticalToActor);
         } else {
@@ -6356,6 +6854,158 @@ Window_BattleItem.prototype.hide = function() {
     Window_ItemList.prototype.hide.call(this);
 };
 
+//-----------------------------------------------------------------------------
+// Window_BattleTimeline
+//
+// The window for displaying the expected action order on the battle screen.
+
+function Window_BattleTimeline() {
+    this.initialize(...arguments);
+}
+
+Window_BattleTimeline.prototype = Object.create(Window_Base.prototype);
+Window_BattleTimeline.prototype.constructor = Window_BattleTimeline;
+
+Window_BattleTimeline.prototype.initialize = function(rect) {
+    Window_Base.prototype.initialize.call(this, rect);
+    this._previewItem = null;
+    this._battlers = [];
+    this._actor = null;
+    this._loadingBitmaps = [];
+};
+
+Window_BattleTimeline.prototype.setPreviewItem = function(item) {
+    this._previewItem = item;
+};
+
+Window_BattleTimeline.prototype.iconSize = function() {
+    return this.innerHeight;
+};
+
+Window_BattleTimeline.prototype.iconSpacing = function() {
+    return this.itemPadding();
+};
+
+Window_BattleTimeline.prototype.maxIcons = function() {
+    const step = this.iconSize() + this.iconSpacing();
+    return Math.floor((this.innerWidth + this.iconSpacing()) / step);
+};
+
+Window_BattleTimeline.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    const order = BattleManager.predictActionOrder(this._previewItem);
+    const battlers = order.slice(0, this.maxIcons());
+    const actor = BattleManager.actor();
+    if (!battlers.equals(this._battlers) || actor !== this._actor) {
+        this._battlers = battlers;
+        this._actor = actor;
+        this.refresh();
+    }
+};
+
+Window_BattleTimeline.prototype.refresh = function() {
+    const size = this.iconSize();
+    const step = size + this.iconSpacing();
+    this.contents.clear();
+    for (let i = 0; i < this._battlers.length; i++) {
+        const battler = this._battlers[i];
+        const x = i * step;
+        if (battler === this._actor) {
+            this.contents.fillRect(
+                x,
+                0,
+                size,
+                size,
+                ColorManager.pendingColor()
+            );
+            this.drawBattlerIcon(battler, x + 2, 2, size - 4);
+        } else {
+            this.drawBattlerIcon(battler, x, 0, size);
+        }
+    }
+};
+
+Window_BattleTimeline.prototype.battlerBitmap = function(battler) {
+    if (battler.isActor()) {
+        return ImageManager.loadFace(battler.faceName());
+    } else if ($gameSystem.isSideView()) {
+        return ImageManager.loadSvEnemy(battler.battlerName());
+    } else {
+        return ImageManager.loadEnemy(battler.battlerName());
+    }
+};
+
+Window_BattleTimeline.prototype.drawBattlerIcon = function(
+    battler,
+    x,
+    y,
+    size
+) {
+    const bitmap = this.battlerBitmap(battler);
+    if (!bitmap.isReady()) {
+        this.refreshOnLoad(bitmap);
+    } else if (battler.isActor()) {
+        const pw = ImageManager.faceWidth;
+        const ph = ImageManager.faceHeight;
+        const faceIndex = battler.faceIndex();
+        const sx = (faceIndex % 4) * pw;
+        const sy = Math.floor(faceIndex / 4) * ph;
+        this.contents.blt(bitmap, sx, sy, pw, ph, x, y, size, size);
+    } else {
+        const bw = bitmap.width;
+        const bh = bitmap.height;
+        const scale = Math.min(size / bw, size / bh);
+        const dw = Math.floor(bw * scale);
+        const dh = Math.floor(bh * scale);
+        const dx = x + Math.floor((size - dw) / 2);
+        const dy = y + Math.floor((size - dh) / 2);
+        this.drawHuedBitmap(bitmap, battler.battlerHue(), dx, dy, dw, dh);
+    }
+};
+
+Window_BattleTimeline.prototype.refreshOnLoad = function(bitmap) {
+    // The order changes often during a turn, so each bitmap gets only one
+    // listener however many times the window is refreshed meanwhile.
+    if (!this._loadingBitmaps.includes(bitmap)) {
+        this._loadingBitmaps.push(bitmap);
+        bitmap.addLoadListener(() => {
+            this._loadingBitmaps.remove(bitmap);
+            if (this.contents) {
+                this.refresh();
+            }
+        });
+    }
+};
+
+Window_BattleTimeline.prototype.drawHuedBitmap = function(
+    bitmap,
+    hue,
+    x,
+    y,
+    width,
+    height
+) {
+    // Sprite_Enemy rotates the hue with a filter, which cannot be applied to
+    // a part of the contents, so the canvas filter stands in for it here.
+    const context = this.contents.context;
+    context.save();
+    if (hue) {
+        context.filter = "hue-rotate(%1deg)".format(hue);
+    }
+    this.contents.blt(
+        bitmap,
+        0,
+        0,
+        bitmap.width,
+        bitmap.height,
+        x,
+        y,
+        width,
+        height
+    );
+    context.restore();
+};
+
 //-----------------------------------------------------------------------------
 // Window_TitleCommand
 //